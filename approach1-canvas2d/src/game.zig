@@ -1,3 +1,11 @@
+// Gameplay events reported to the JS host (types match shared/events.js).
+// x/y is where it happened; the payload depends on the type.
+extern fn game_event(kind: u32, x: f32, y: f32, payload: i32) void;
+const EVENT_SHOT: u32 = 0; // payload: unused
+const EVENT_ENEMY_DESTROYED: u32 = 1; // payload: points scored
+const EVENT_PLAYER_HIT: u32 = 2; // payload: damage taken
+const EVENT_GAME_OVER: u32 = 3; // payload: final score
+
 // Constants
 const PLAYER_SPEED: f32 = 200.0;
 const PLAYER_SIZE: f32 = 20.0;
@@ -26,6 +34,7 @@ const EntityType = enum(i32) {
 const Bullet = struct {
     x: f32,
     y: f32,
+    prev_y: f32,
     active: bool,
 };
 
@@ -33,6 +42,8 @@ const Bullet = struct {
 const Player = struct {
     x: f32,
     y: f32,
+    prev_x: f32,
+    prev_y: f32,
     velocity_x: f32,
     velocity_y: f32,
     health: i32,
@@ -44,6 +55,7 @@ const Player = struct {
 const Enemy = struct {
     x: f32,
     y: f32,
+    prev_y: f32,
     velocity_y: f32,
     width: f32,
     height: f32,
@@ -55,6 +67,7 @@ const Enemy = struct {
 const Obstacle = struct {
     x: f32,
     y: f32,
+    prev_y: f32,
     velocity_y: f32,
     width: f32,
     height: f32,
@@ -88,6 +101,13 @@ const Entity = union(enum) {
         };
     }
 
+    fn getPrevY(self: Entity) f32 {
+        return switch (self) {
+            .enemy => |e| e.prev_y,
+            .obstacle => |o| o.prev_y,
+        };
+    }
+
     fn getWidth(self: Entity) f32 {
         return switch (self) {
             .enemy => |e| e.width,
@@ -120,6 +140,7 @@ const GameState = struct {
     shoot_cooldown: f32,
     score: i32,
     spawn_timer: f32,
+    score_timer: f32,
     key_states: [256]bool,
     rng_state: u64,
 };
@@ -128,11 +149,15 @@ const GameState = struct {
 var game_state: GameState = undefined;
 var initialized: bool = false;
 
-// Entity data buffer for JS interop (x, y, width, height, type)
-var entity_data_buffer: [5]f32 = undefined;
+// Difficulty chosen by the host (0 = easy, 1 = normal, 2 = hard); survives init()
+var difficulty: u8 = 1;
+const DIFFICULTY_SPAWN_SCALE = [_]f32{ 1.5, 1.0, 0.6 };
+
+// Entity data buffer for JS interop (x, y, width, height, type, prev_x, prev_y)
+var entity_data_buffer: [7]f32 = undefined;
 
-// Bullet data buffer for JS interop (x, y, width, height)
-var bullet_data_buffer: [4]f32 = undefined;
+// Bullet data buffer for JS interop (x, y, width, height, prev_x, prev_y)
+var bullet_data_buffer: [6]f32 = undefined;
 
 // Simple PRNG (Linear Congruential Generator)
 fn random(state: *u64) f32 {
@@ -146,6 +171,8 @@ export fn init() void {
         .player = Player{
             .x = GAME_WIDTH / 2.0,
             .y = GAME_HEIGHT - 50.0,
+            .prev_x = GAME_WIDTH / 2.0,
+            .prev_y = GAME_HEIGHT - 50.0,
             .velocity_x = 0.0,
             .velocity_y = 0.0,
             .health = 100,
@@ -159,6 +186,7 @@ export fn init() void {
         .shoot_cooldown = 0.0,
         .score = 0,
         .spawn_timer = 0.0,
+        .score_timer = 0.0,
         .key_states = [_]bool{false} ** 256,
         .rng_state = 12345, // Seed for random number generator
     };
@@ -170,6 +198,7 @@ export fn init() void {
             .enemy = Enemy{
                 .x = 0,
                 .y = 0,
+                .prev_y = 0,
                 .velocity_y = 0,
                 .width = 0,
                 .height = 0,
@@ -185,6 +214,7 @@ export fn init() void {
         game_state.bullets[j] = Bullet{
             .x = 0,
             .y = 0,
+            .prev_y = 0,
             .active = false,
         };
     }
@@ -192,6 +222,45 @@ export fn init() void {
     initialized = true;
 }
 
+// Set the difficulty for the current and following games
+export fn set_difficulty(level: u8) void {
+    difficulty = @min(level, DIFFICULTY_SPAWN_SCALE.len - 1);
+}
+
+// Benchmark support (see shared/bench.js): reseed the RNG after init()
+export fn set_seed(seed: u32) void {
+    if (!initialized) return;
+    game_state.rng_state = seed;
+}
+
+// Benchmark support: spawn entities until `count` are active (at most
+// MAX_ENTITIES), scattered over the upper half of the playfield.
+// Returns the number of active entities.
+export fn fill_entities(count: u32) u32 {
+    if (!initialized) return 0;
+
+    const target = @min(count, MAX_ENTITIES);
+    var i: usize = 0;
+    while (i < MAX_ENTITIES and game_state.entity_count < target) : (i += 1) {
+        if (game_state.entities[i].isActive()) continue;
+
+        // spawnEntity() takes the first free slot, which is this one
+        spawnEntity();
+        const y = random(&game_state.rng_state) * GAME_HEIGHT / 2.0;
+        switch (game_state.entities[i]) {
+            .enemy => |*e| {
+                e.y = y;
+                e.prev_y = y;
+            },
+            .obstacle => |*o| {
+                o.y = y;
+                o.prev_y = y;
+            },
+        }
+    }
+    return @intCast(game_state.entity_count);
+}
+
 // Handle key down events
 export fn key_down(key: u8) void {
     if (!initialized) return;
@@ -234,6 +303,7 @@ fn spawnEntity() void {
                     .enemy = Enemy{
                         .x = rand_x,
                         .y = -ENEMY_SIZE,
+                        .prev_y = -ENEMY_SIZE,
                         .velocity_y = ENEMY_SPEED,
                         .width = ENEMY_SIZE,
                         .height = ENEMY_SIZE,
@@ -248,6 +318,7 @@ fn spawnEntity() void {
                     .obstacle = Obstacle{
                         .x = rand_x,
                         .y = -30.0,
+                        .prev_y = -30.0,
                         .velocity_y = OBSTACLE_SPEED,
                         .width = obstacle_width,
                         .height = 30.0,
@@ -262,6 +333,20 @@ fn spawnEntity() void {
     }
 }
 
+// Apply a collision's damage and report it
+fn damagePlayer(amount: i32) void {
+    if (game_state.player.health <= 0) return;
+
+    const center_x = game_state.player.x + game_state.player.width / 2.0;
+    const center_y = game_state.player.y + game_state.player.height / 2.0;
+
+    game_state.player.health -= amount;
+    game_event(EVENT_PLAYER_HIT, center_x, center_y, amount);
+    if (game_state.player.health <= 0) {
+        game_event(EVENT_GAME_OVER, center_x, center_y, game_state.score);
+    }
+}
+
 // Spawn a bullet from player position
 fn spawnBullet() void {
     if (game_state.bullet_count >= MAX_BULLETS) return;
@@ -273,17 +358,39 @@ fn spawnBullet() void {
             game_state.bullets[i] = Bullet{
                 .x = game_state.player.x + game_state.player.width / 2.0 - BULLET_WIDTH / 2.0,
                 .y = game_state.player.y - BULLET_HEIGHT,
+                .prev_y = game_state.player.y - BULLET_HEIGHT,
                 .active = true,
             };
             game_state.bullet_count += 1;
+            game_event(EVENT_SHOT, game_state.bullets[i].x, game_state.bullets[i].y, 0);
             break;
         }
     }
 }
 
-// Update game logic
+// Remember positions before a step so JS can interpolate between steps
+fn savePreviousPositions() void {
+    game_state.player.prev_x = game_state.player.x;
+    game_state.player.prev_y = game_state.player.y;
+
+    var i: usize = 0;
+    while (i < MAX_ENTITIES) : (i += 1) {
+        switch (game_state.entities[i]) {
+            .enemy => |*e| e.prev_y = e.y,
+            .obstacle => |*o| o.prev_y = o.y,
+        }
+    }
+
+    var b: usize = 0;
+    while (b < MAX_BULLETS) : (b += 1) {
+        game_state.bullets[b].prev_y = game_state.bullets[b].y;
+    }
+}
+
+// Update game logic (called with a fixed timestep by the host)
 export fn update(delta_time: f32) void {
     if (!initialized) return;
+    savePreviousPositions();
     if (game_state.player.health <= 0) return;
 
     // Update player velocity based on key states
@@ -333,7 +440,7 @@ export fn update(delta_time: f32) void {
 
     // Update spawn timer
     game_state.spawn_timer += delta_time;
-    if (game_state.spawn_timer >= SPAWN_INTERVAL) {
+    if (game_state.spawn_timer >= SPAWN_INTERVAL * DIFFICULTY_SPAWN_SCALE[difficulty]) {
         game_state.spawn_timer = 0.0;
         spawnEntity();
     }
@@ -358,7 +465,7 @@ export fn update(delta_time: f32) void {
                     e.width,
                     e.height,
                 )) {
-                    game_state.player.health -= 10;
+                    damagePlayer(10);
                     e.active = false;
                     game_state.entity_count -= 1;
                 }
@@ -383,7 +490,7 @@ export fn update(delta_time: f32) void {
                     o.width,
                     o.height,
                 )) {
-                    game_state.player.health -= 20;
+                    damagePlayer(20);
                     o.active = false;
                     game_state.entity_count -= 1;
                 }
@@ -435,6 +542,7 @@ export fn update(delta_time: f32) void {
                         game_state.bullets[b].active = false;
                         game_state.bullet_count -= 1;
                         game_state.score += 10; // Points for killing enemy
+                        game_event(EVENT_ENEMY_DESTROYED, enemy.x + enemy.width / 2.0, enemy.y + enemy.height / 2.0, 10);
                         break;
                     }
                 },
@@ -444,7 +552,12 @@ export fn update(delta_time: f32) void {
     }
 
     // Increment score (10 points per second survived)
-    game_state.score += @as(i32, @intFromFloat(delta_time * 10.0));
+    // Accumulate time so small fixed steps still add up to whole points
+    game_state.score_timer += delta_time;
+    while (game_state.score_timer >= 0.1) {
+        game_state.score_timer -= 0.1;
+        game_state.score += 1;
+    }
 }
 
 // Get player X position
@@ -459,6 +572,90 @@ export fn get_player_y() f32 {
     return game_state.player.y;
 }
 
+// Packed state for JS: the active entities and bullets as one struct-of-arrays
+// region, refreshed by pack_state() so a frame needs a single WASM call.
+// Bump STATE_LAYOUT_VERSION whenever the layout changes; web/game.js checks it.
+const STATE_LAYOUT_VERSION: u32 = 1;
+
+const PackedState = extern struct {
+    // Header (u32 words)
+    version: u32,
+    entity_capacity: u32,
+    bullet_capacity: u32,
+    entity_count: u32,
+    bullet_count: u32,
+
+    // Active entities, packed at the front of each array
+    entity_x: [MAX_ENTITIES]f32,
+    entity_y: [MAX_ENTITIES]f32,
+    entity_prev_x: [MAX_ENTITIES]f32,
+    entity_prev_y: [MAX_ENTITIES]f32,
+    entity_width: [MAX_ENTITIES]f32,
+    entity_height: [MAX_ENTITIES]f32,
+    entity_type: [MAX_ENTITIES]f32,
+
+    // Active bullets, packed the same way
+    bullet_x: [MAX_BULLETS]f32,
+    bullet_y: [MAX_BULLETS]f32,
+    bullet_prev_x: [MAX_BULLETS]f32,
+    bullet_prev_y: [MAX_BULLETS]f32,
+    bullet_width: [MAX_BULLETS]f32,
+    bullet_height: [MAX_BULLETS]f32,
+};
+
+var packed_state: PackedState = undefined;
+
+// Copy the active entities and bullets into the packed region and return it
+export fn pack_state() *const PackedState {
+    packed_state.version = STATE_LAYOUT_VERSION;
+    packed_state.entity_capacity = MAX_ENTITIES;
+    packed_state.bullet_capacity = MAX_BULLETS;
+    packed_state.entity_count = 0;
+    packed_state.bullet_count = 0;
+    if (!initialized) return &packed_state;
+
+    var e: u32 = 0;
+    for (game_state.entities) |entity| {
+        if (!entity.isActive()) continue;
+        packed_state.entity_x[e] = entity.getX();
+        packed_state.entity_y[e] = entity.getY();
+        packed_state.entity_prev_x[e] = entity.getX();
+        packed_state.entity_prev_y[e] = entity.getPrevY();
+        packed_state.entity_width[e] = entity.getWidth();
+        packed_state.entity_height[e] = entity.getHeight();
+        packed_state.entity_type[e] = @as(f32, @floatFromInt(entity.getType()));
+        e += 1;
+    }
+    packed_state.entity_count = e;
+
+    var b: u32 = 0;
+    for (game_state.bullets) |bullet| {
+        if (!bullet.active) continue;
+        packed_state.bullet_x[b] = bullet.x;
+        packed_state.bullet_y[b] = bullet.y;
+        packed_state.bullet_prev_x[b] = bullet.x;
+        packed_state.bullet_prev_y[b] = bullet.prev_y;
+        packed_state.bullet_width[b] = BULLET_WIDTH;
+        packed_state.bullet_height[b] = BULLET_HEIGHT;
+        b += 1;
+    }
+    packed_state.bullet_count = b;
+
+    return &packed_state;
+}
+
+// Get player X position before the last update (for interpolation)
+export fn get_player_prev_x() f32 {
+    if (!initialized) return 0.0;
+    return game_state.player.prev_x;
+}
+
+// Get player Y position before the last update (for interpolation)
+export fn get_player_prev_y() f32 {
+    if (!initialized) return 0.0;
+    return game_state.player.prev_y;
+}
+
 // Get player health
 export fn get_player_health() i32 {
     if (!initialized) return 0;
@@ -484,7 +681,7 @@ export fn get_entity_count() i32 {
     return count;
 }
 
-// Get entity data at index (returns pointer to [x, y, width, height, type])
+// Get entity data at index (returns pointer to [x, y, width, height, type, prev_x, prev_y])
 export fn get_entity_data(index: i32) [*]f32 {
     if (!initialized) return &entity_data_buffer;
     if (index < 0) return &entity_data_buffer;
@@ -500,6 +697,8 @@ export fn get_entity_data(index: i32) [*]f32 {
                 entity_data_buffer[2] = entity.getWidth();
                 entity_data_buffer[3] = entity.getHeight();
                 entity_data_buffer[4] = @as(f32, @floatFromInt(entity.getType()));
+                entity_data_buffer[5] = entity.getX();
+                entity_data_buffer[6] = entity.getPrevY();
                 return &entity_data_buffer;
             }
             current_index += 1;
@@ -507,7 +706,7 @@ export fn get_entity_data(index: i32) [*]f32 {
     }
 
     // If index not found, return empty data
-    entity_data_buffer = [_]f32{ 0.0, 0.0, 0.0, 0.0, 0.0 };
+    entity_data_buffer = [_]f32{ 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0 };
     return &entity_data_buffer;
 }
 
@@ -524,7 +723,7 @@ export fn get_bullet_count() i32 {
     return count;
 }
 
-// Get bullet data at index (returns pointer to [x, y, width, height])
+// Get bullet data at index (returns pointer to [x, y, width, height, prev_x, prev_y])
 export fn get_bullet_data(index: i32) [*]f32 {
     if (!initialized) return &bullet_data_buffer;
     if (index < 0) return &bullet_data_buffer;
@@ -538,6 +737,8 @@ export fn get_bullet_data(index: i32) [*]f32 {
                 bullet_data_buffer[1] = game_state.bullets[i].y;
                 bullet_data_buffer[2] = BULLET_WIDTH;
                 bullet_data_buffer[3] = BULLET_HEIGHT;
+                bullet_data_buffer[4] = game_state.bullets[i].x;
+                bullet_data_buffer[5] = game_state.bullets[i].prev_y;
                 return &bullet_data_buffer;
             }
             current_index += 1;
@@ -545,6 +746,6 @@ export fn get_bullet_data(index: i32) [*]f32 {
     }
 
     // If index not found, return empty data
-    bullet_data_buffer = [_]f32{ 0.0, 0.0, 0.0, 0.0 };
+    bullet_data_buffer = [_]f32{ 0.0, 0.0, 0.0, 0.0, 0.0, 0.0 };
     return &bullet_data_buffer;
 }
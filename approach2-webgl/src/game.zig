@@ -2,6 +2,16 @@
 extern fn gl_clear(r: f32, g: f32, b: f32, a: f32) void;
 extern fn gl_draw_quad(x: f32, y: f32, w: f32, h: f32, r: f32, g: f32, b: f32, a: f32) void;
 extern fn gl_draw_triangle(x1: f32, y1: f32, x2: f32, y2: f32, x3: f32, y3: f32, r: f32, g: f32, b: f32, a: f32) void;
+// Draw the (sx, sy, sw, sh) pixel rectangle of a texture into (dx, dy, dw, dh), tinted by r, g, b, a
+extern fn gl_draw_sprite(texture_id: u32, sx: f32, sy: f32, sw: f32, sh: f32, dx: f32, dy: f32, dw: f32, dh: f32, r: f32, g: f32, b: f32, a: f32) void;
+
+// Gameplay events reported to the JS host (types match shared/events.js).
+// x/y is where it happened; the payload depends on the type.
+extern fn game_event(kind: u32, x: f32, y: f32, payload: i32) void;
+const EVENT_SHOT: u32 = 0; // payload: unused
+const EVENT_ENEMY_DESTROYED: u32 = 1; // payload: points scored
+const EVENT_PLAYER_HIT: u32 = 2; // payload: damage taken
+const EVENT_GAME_OVER: u32 = 3; // payload: final score
 
 // Game constants
 const CANVAS_WIDTH: f32 = 800.0;
@@ -30,22 +40,26 @@ const Vec2 = struct {
 
 const Player = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     velocity: Vec2,
     alive: bool,
 };
 
 const Enemy = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     active: bool,
 };
 
 const Obstacle = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     active: bool,
 };
 
 const Bullet = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     active: bool,
 };
 
@@ -59,6 +73,10 @@ var obstacles: [MAX_OBSTACLES]Obstacle = undefined;
 var bullets: [MAX_BULLETS]Bullet = undefined;
 var score: i32 = 0;
 var spawn_timer: f32 = 0.0;
+
+// Difficulty chosen by the host (0 = easy, 1 = normal, 2 = hard); survives init()
+var difficulty: u8 = 1;
+const DIFFICULTY_SPAWN_SCALE = [_]f32{ 1.5, 1.0, 0.6 };
 var game_time: f32 = 0.0;
 var shoot_cooldown: f32 = 0.0;
 
@@ -69,6 +87,78 @@ var key_up_pressed: bool = false;
 var key_down_pressed: bool = false;
 var key_space: bool = false;
 
+// Sprites set up by JS once the atlas texture is loaded (see webgl.js).
+// Until then, or for kinds without frames, everything is drawn as flat shapes.
+// init() leaves them alone so they survive restarts.
+const SPRITE_PLAYER: u32 = 0;
+const SPRITE_ENEMY: u32 = 1;
+const SPRITE_OBSTACLE: u32 = 2;
+const SPRITE_BULLET: u32 = 3;
+const SPRITE_KIND_COUNT = 4;
+const MAX_SPRITE_FRAMES = 4;
+
+const SpriteFrame = struct {
+    x: f32,
+    y: f32,
+    w: f32,
+    h: f32,
+    cap: f32, // left/right pixels kept unstretched (0 = stretch the whole frame)
+};
+
+const Sprite = struct {
+    frames: [MAX_SPRITE_FRAMES]SpriteFrame,
+    frame_count: u32,
+    fps: f32,
+};
+
+var sprite_texture: u32 = 0; // 0 = no texture
+var sprites = [_]Sprite{.{ .frames = undefined, .frame_count = 0, .fps = 0.0 }} ** SPRITE_KIND_COUNT;
+
+// Texture ID handed out by the JS bindings for the sprite atlas
+export fn set_sprite_texture(texture_id: u32) void {
+    sprite_texture = texture_id;
+}
+
+// Set one animation frame of a sprite kind, in atlas pixels
+export fn set_sprite_frame(kind: u32, frame: u32, x: f32, y: f32, w: f32, h: f32, cap: f32) void {
+    if (kind >= SPRITE_KIND_COUNT or frame >= MAX_SPRITE_FRAMES) return;
+
+    sprites[kind].frames[frame] = SpriteFrame{ .x = x, .y = y, .w = w, .h = h, .cap = cap };
+    sprites[kind].frame_count = @max(sprites[kind].frame_count, frame + 1);
+}
+
+// Animation speed of a sprite kind in frames per second (0 = still)
+export fn set_sprite_fps(kind: u32, fps: f32) void {
+    if (kind >= SPRITE_KIND_COUNT) return;
+    sprites[kind].fps = fps;
+}
+
+// Draw the current frame of a sprite kind into a box. `phase` staggers the
+// animation between sprites of the same kind. Returns false if the kind has
+// no sprite, so the caller can draw a flat shape instead.
+fn drawSprite(kind: u32, phase: usize, x: f32, y: f32, w: f32, h: f32) bool {
+    const sprite = sprites[kind];
+    if (sprite_texture == 0 or sprite.frame_count == 0) return false;
+
+    var index: u32 = 0;
+    if (sprite.fps > 0.0) {
+        const tick: u32 = @intFromFloat(game_time * sprite.fps);
+        index = (tick + @as(u32, @intCast(phase))) % sprite.frame_count;
+    }
+    const f = sprite.frames[index];
+
+    if (f.cap == 0.0 or w <= f.cap * 2.0) {
+        gl_draw_sprite(sprite_texture, f.x, f.y, f.w, f.h, x, y, w, h, 1.0, 1.0, 1.0, 1.0);
+        return true;
+    }
+
+    // Caps at their natural width, middle stretched
+    gl_draw_sprite(sprite_texture, f.x, f.y, f.cap, f.h, x, y, f.cap, h, 1.0, 1.0, 1.0, 1.0);
+    gl_draw_sprite(sprite_texture, f.x + f.cap, f.y, f.w - f.cap * 2.0, f.h, x + f.cap, y, w - f.cap * 2.0, h, 1.0, 1.0, 1.0, 1.0);
+    gl_draw_sprite(sprite_texture, f.x + f.w - f.cap, f.y, f.cap, f.h, x + w - f.cap, y, f.cap, h, 1.0, 1.0, 1.0, 1.0);
+    return true;
+}
+
 // Initialize the game
 export fn init() void {
     // Initialize player
@@ -77,6 +167,10 @@ export fn init() void {
             .x = CANVAS_WIDTH / 2.0,
             .y = CANVAS_HEIGHT - 80.0,
         },
+        .prev_pos = Vec2{
+            .x = CANVAS_WIDTH / 2.0,
+            .y = CANVAS_HEIGHT - 80.0,
+        },
         .velocity = Vec2{ .x = 0.0, .y = 0.0 },
         .alive = true,
     };
@@ -85,6 +179,7 @@ export fn init() void {
     for (&enemies) |*enemy| {
         enemy.* = Enemy{
             .pos = Vec2{ .x = 0.0, .y = 0.0 },
+            .prev_pos = Vec2{ .x = 0.0, .y = 0.0 },
             .active = false,
         };
     }
@@ -93,6 +188,7 @@ export fn init() void {
     for (&obstacles) |*obstacle| {
         obstacle.* = Obstacle{
             .pos = Vec2{ .x = 0.0, .y = 0.0 },
+            .prev_pos = Vec2{ .x = 0.0, .y = 0.0 },
             .active = false,
         };
     }
@@ -101,6 +197,7 @@ export fn init() void {
     for (&bullets) |*bullet| {
         bullet.* = Bullet{
             .pos = Vec2{ .x = 0.0, .y = 0.0 },
+            .prev_pos = Vec2{ .x = 0.0, .y = 0.0 },
             .active = false,
         };
     }
@@ -116,8 +213,10 @@ export fn init() void {
     key_space = false;
 }
 
-// Update game logic
+// Update game logic (called with a fixed timestep by the host)
 export fn update(delta_time: f32) void {
+    savePreviousPositions();
+
     if (!player.alive) {
         return;
     }
@@ -171,7 +270,7 @@ export fn update(delta_time: f32) void {
     }
 
     // Spawn enemies and obstacles
-    if (spawn_timer >= SPAWN_INTERVAL) {
+    if (spawn_timer >= SPAWN_INTERVAL * DIFFICULTY_SPAWN_SCALE[difficulty]) {
         spawn_timer = 0.0;
         spawnEnemy();
         if (@mod(@as(i32, @intFromFloat(game_time)), 3) == 0) {
@@ -202,7 +301,7 @@ export fn update(delta_time: f32) void {
             ENEMY_SIZE,
             ENEMY_SIZE,
         )) {
-            player.alive = false;
+            killPlayer();
         }
     }
 
@@ -229,7 +328,7 @@ export fn update(delta_time: f32) void {
             OBSTACLE_WIDTH,
             OBSTACLE_HEIGHT,
         )) {
-            player.alive = false;
+            killPlayer();
         }
     }
 
@@ -264,6 +363,7 @@ export fn update(delta_time: f32) void {
                 enemy.active = false;
                 bullet.active = false;
                 score += 10; // Points for killing enemy
+                game_event(EVENT_ENEMY_DESTROYED, enemy.pos.x + ENEMY_SIZE / 2.0, enemy.pos.y + ENEMY_SIZE / 2.0, 10);
                 break;
             }
         }
@@ -271,7 +371,8 @@ export fn update(delta_time: f32) void {
 }
 
 // Render the game using WebGL
-export fn render() void {
+// alpha is how far the host is between the last two updates (0..1)
+export fn render(alpha: f32) void {
     // Clear screen with dark blue background
     gl_clear(0.1, 0.1, 0.2, 1.0);
 
@@ -289,11 +390,13 @@ export fn render() void {
     gl_draw_quad(hallway_left, 0.0, HALLWAY_WIDTH, CANVAS_HEIGHT, 0.3, 0.3, 0.35, 1.0);
 
     // Draw obstacles (gray)
-    for (obstacles) |obstacle| {
+    for (obstacles, 0..) |obstacle, i| {
         if (!obstacle.active) continue;
+        const pos = lerpVec(obstacle.prev_pos, obstacle.pos, alpha);
+        if (drawSprite(SPRITE_OBSTACLE, i, pos.x, pos.y, OBSTACLE_WIDTH, OBSTACLE_HEIGHT)) continue;
         gl_draw_quad(
-            obstacle.pos.x,
-            obstacle.pos.y,
+            pos.x,
+            pos.y,
             OBSTACLE_WIDTH,
             OBSTACLE_HEIGHT,
             0.5,
@@ -304,11 +407,13 @@ export fn render() void {
     }
 
     // Draw enemies (red)
-    for (enemies) |enemy| {
+    for (enemies, 0..) |enemy, i| {
         if (!enemy.active) continue;
+        const pos = lerpVec(enemy.prev_pos, enemy.pos, alpha);
+        if (drawSprite(SPRITE_ENEMY, i, pos.x, pos.y, ENEMY_SIZE, ENEMY_SIZE)) continue;
         gl_draw_quad(
-            enemy.pos.x,
-            enemy.pos.y,
+            pos.x,
+            pos.y,
             ENEMY_SIZE,
             ENEMY_SIZE,
             1.0,
@@ -319,11 +424,13 @@ export fn render() void {
     }
 
     // Draw bullets (yellow)
-    for (bullets) |bullet| {
+    for (bullets, 0..) |bullet, i| {
         if (!bullet.active) continue;
+        const pos = lerpVec(bullet.prev_pos, bullet.pos, alpha);
+        if (drawSprite(SPRITE_BULLET, i, pos.x, pos.y, BULLET_WIDTH, BULLET_HEIGHT)) continue;
         gl_draw_quad(
-            bullet.pos.x,
-            bullet.pos.y,
+            pos.x,
+            pos.y,
             BULLET_WIDTH,
             BULLET_HEIGHT,
             1.0,
@@ -334,30 +441,33 @@ export fn render() void {
     }
 
     // Draw player
+    const player_pos = lerpVec(player.prev_pos, player.pos, alpha);
     if (player.alive) {
-        // Draw as green triangle (pointing up)
-        const center_x = player.pos.x + PLAYER_WIDTH / 2.0;
-        const top_y = player.pos.y;
-        const bottom_y = player.pos.y + PLAYER_HEIGHT;
-        const left_x = player.pos.x;
-        const right_x = player.pos.x + PLAYER_WIDTH;
-
-        gl_draw_triangle(
-            center_x,
-            top_y, // top point
-            left_x,
-            bottom_y, // bottom left
-            right_x,
-            bottom_y, // bottom right
-            0.0,
-            1.0,
-            0.0,
-            1.0,
-        );
+        if (!drawSprite(SPRITE_PLAYER, 0, player_pos.x, player_pos.y, PLAYER_WIDTH, PLAYER_HEIGHT)) {
+            // Draw as green triangle (pointing up)
+            const center_x = player_pos.x + PLAYER_WIDTH / 2.0;
+            const top_y = player_pos.y;
+            const bottom_y = player_pos.y + PLAYER_HEIGHT;
+            const left_x = player_pos.x;
+            const right_x = player_pos.x + PLAYER_WIDTH;
+
+            gl_draw_triangle(
+                center_x,
+                top_y, // top point
+                left_x,
+                bottom_y, // bottom left
+                right_x,
+                bottom_y, // bottom right
+                0.0,
+                1.0,
+                0.0,
+                1.0,
+            );
+        }
     } else {
         // Draw as red X (two triangles) to indicate game over
-        const center_x = player.pos.x + PLAYER_WIDTH / 2.0;
-        const center_y = player.pos.y + PLAYER_HEIGHT / 2.0;
+        const center_x = player_pos.x + PLAYER_WIDTH / 2.0;
+        const center_y = player_pos.y + PLAYER_HEIGHT / 2.0;
         const half_size = PLAYER_WIDTH / 2.0;
 
         // First diagonal
@@ -376,6 +486,11 @@ export fn render() void {
     }
 }
 
+// Set the difficulty for the current and following games
+export fn set_difficulty(level: u8) void {
+    difficulty = @min(level, DIFFICULTY_SPAWN_SCALE.len - 1);
+}
+
 // Handle key down events
 export fn key_down(key: u8) void {
     switch (key) {
@@ -410,17 +525,106 @@ export fn is_alive() bool {
     return player.alive;
 }
 
+// Get number of active enemies and obstacles
+export fn get_entity_count() i32 {
+    var count: i32 = 0;
+    for (enemies) |enemy| {
+        if (enemy.active) count += 1;
+    }
+    for (obstacles) |obstacle| {
+        if (obstacle.active) count += 1;
+    }
+    return count;
+}
+
+// Get number of active bullets
+export fn get_bullet_count() i32 {
+    var count: i32 = 0;
+    for (bullets) |bullet| {
+        if (bullet.active) count += 1;
+    }
+    return count;
+}
+
+// Benchmark support (see shared/bench.js). Gameplay spawns stay time-based;
+// the seed only drives where fill_entities() places entities.
+var bench_rng: u32 = 1;
+
+export fn set_seed(seed: u32) void {
+    bench_rng = if (seed == 0) 1 else seed;
+}
+
+// Xorshift step returning 0..1
+fn benchRandom() f32 {
+    bench_rng ^= bench_rng << 13;
+    bench_rng ^= bench_rng >> 17;
+    bench_rng ^= bench_rng << 5;
+    return @as(f32, @floatFromInt(bench_rng & 0xFFFFFF)) / @as(f32, 0xFFFFFF);
+}
+
+// Random position in the hallway's upper half for something `width` wide
+fn benchPosition(width: f32) Vec2 {
+    const hallway_left = (CANVAS_WIDTH - HALLWAY_WIDTH) / 2.0;
+    return Vec2{
+        .x = hallway_left + benchRandom() * (HALLWAY_WIDTH - width),
+        .y = benchRandom() * CANVAS_HEIGHT / 2.0,
+    };
+}
+
+// Benchmark support: activate enemies, then obstacles, until `count` are
+// active (at most MAX_ENEMIES + MAX_OBSTACLES). Returns the number active.
+export fn fill_entities(count: u32) u32 {
+    var active: u32 = 0;
+    for (enemies) |enemy| {
+        if (enemy.active) active += 1;
+    }
+    for (obstacles) |obstacle| {
+        if (obstacle.active) active += 1;
+    }
+
+    for (&enemies) |*enemy| {
+        if (active >= count) break;
+        if (enemy.active) continue;
+        const pos = benchPosition(ENEMY_SIZE);
+        enemy.* = Enemy{ .pos = pos, .prev_pos = pos, .active = true };
+        active += 1;
+    }
+    for (&obstacles) |*obstacle| {
+        if (active >= count) break;
+        if (obstacle.active) continue;
+        const pos = benchPosition(OBSTACLE_WIDTH);
+        obstacle.* = Obstacle{ .pos = pos, .prev_pos = pos, .active = true };
+        active += 1;
+    }
+    return active;
+}
+
+// Any collision is fatal in this approach (reported as 100 damage)
+fn killPlayer() void {
+    if (!player.alive) return;
+
+    const center_x = player.pos.x + PLAYER_WIDTH / 2.0;
+    const center_y = player.pos.y + PLAYER_HEIGHT / 2.0;
+
+    player.alive = false;
+    game_event(EVENT_PLAYER_HIT, center_x, center_y, 100);
+    game_event(EVENT_GAME_OVER, center_x, center_y, score);
+}
+
 // Helper function to spawn a bullet
 fn spawnBullet() void {
     for (&bullets) |*bullet| {
         if (!bullet.active) {
+            const pos = Vec2{
+                .x = player.pos.x + PLAYER_WIDTH / 2.0 - BULLET_WIDTH / 2.0,
+                .y = player.pos.y - BULLET_HEIGHT,
+            };
             bullet.* = Bullet{
-                .pos = Vec2{
-                    .x = player.pos.x + PLAYER_WIDTH / 2.0 - BULLET_WIDTH / 2.0,
-                    .y = player.pos.y - BULLET_HEIGHT,
-                },
+                .pos = pos,
+                .prev_pos = pos,
                 .active = true,
             };
+            game_event(EVENT_SHOT, pos.x, pos.y, 0);
             break;
         }
     }
@@ -439,6 +643,7 @@ fn spawnEnemy() void {
 
             enemy.* = Enemy{
                 .pos = Vec2{ .x = x_pos, .y = -ENEMY_SIZE },
+                .prev_pos = Vec2{ .x = x_pos, .y = -ENEMY_SIZE },
                 .active = true,
             };
             break;
@@ -459,6 +664,7 @@ fn spawnObstacle() void {
 
             obstacle.* = Obstacle{
                 .pos = Vec2{ .x = x_pos, .y = -OBSTACLE_HEIGHT },
+                .prev_pos = Vec2{ .x = x_pos, .y = -OBSTACLE_HEIGHT },
                 .active = true,
             };
             break;
@@ -466,6 +672,28 @@ fn spawnObstacle() void {
     }
 }
 
+// Helper function to remember positions before a step for render interpolation
+fn savePreviousPositions() void {
+    player.prev_pos = player.pos;
+    for (&enemies) |*enemy| {
+        enemy.prev_pos = enemy.pos;
+    }
+    for (&obstacles) |*obstacle| {
+        obstacle.prev_pos = obstacle.pos;
+    }
+    for (&bullets) |*bullet| {
+        bullet.prev_pos = bullet.pos;
+    }
+}
+
+// Helper function to interpolate between the previous and current position
+fn lerpVec(prev: Vec2, current: Vec2, alpha: f32) Vec2 {
+    return Vec2{
+        .x = prev.x + (current.x - prev.x) * alpha,
+        .y = prev.y + (current.y - prev.y) * alpha,
+    };
+}
+
 // Helper function to check collision between two rectangles
 fn checkCollision(x1: f32, y1: f32, w1: f32, h1: f32, x2: f32, y2: f32, w2: f32, h2: f32) bool {
     return x1 < x2 + w2 and
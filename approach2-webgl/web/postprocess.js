@@ -0,0 +1,320 @@
+// Post-processing for the WebGL renderer
+// When an effect is on, the scene is drawn into an offscreen framebuffer and
+// then copied to the screen through a chain of passes:
+//   bloom:    bright pass and two blur passes at half resolution
+//   final:    scene + bloom, then CRT curvature/scanlines and vignette
+// Bloom needs half-float render targets (EXT_color_buffer_float or
+// EXT_color_buffer_half_float). Effects whose render targets can't be created
+// are reported as unavailable and stay off. Choices persist in localStorage.
+// Render targets match the playfield's size on screen and are recreated when
+// it changes (see resize()). After a lost WebGL context is restored, restore()
+// rebuilds every GL object.
+
+const STORAGE_KEY = 'zig-wasm-shooter.postfx';
+
+export const POST_EFFECTS = [
+    { id: 'bloom', label: 'Bloom' },
+    { id: 'crt', label: 'CRT' },
+    { id: 'vignette', label: 'Vignette' },
+];
+
+// Shader files of the passes, relative to this module
+export const POST_SHADERS = {
+    vertex: 'shaders/post/vertex.glsl',
+    bright: 'shaders/post/bright.glsl',
+    blur: 'shaders/post/blur.glsl',
+    composite: 'shaders/post/composite.glsl',
+};
+
+// Bloom tuning
+const BLOOM_THRESHOLD = 0.6;
+const BLOOM_STRENGTH = 1.2;
+
+// Texture formats for bloom targets, or null if half-float rendering isn't supported
+function halfFloatFormat(gl, isWebGL2) {
+    if (isWebGL2) {
+        if (!gl.getExtension('EXT_color_buffer_float') && !gl.getExtension('EXT_color_buffer_half_float')) {
+            return null;
+        }
+        return {
+            internalFormat: gl.RGBA16F,
+            format: gl.RGBA,
+            type: gl.HALF_FLOAT,
+            filter: gl.LINEAR,
+        };
+    }
+
+    const halfFloat = gl.getExtension('OES_texture_half_float');
+    if (!halfFloat || !gl.getExtension('EXT_color_buffer_half_float')) {
+        return null;
+    }
+    return {
+        internalFormat: gl.RGBA,
+        format: gl.RGBA,
+        type: halfFloat.HALF_FLOAT_OES,
+        filter: gl.getExtension('OES_texture_half_float_linear') ? gl.LINEAR : gl.NEAREST,
+    };
+}
+
+export class PostProcessor {
+    // `createProgram(vertexSource, fragmentSource)` links a program;
+    // `sources` holds the text of every file in POST_SHADERS.
+    constructor(gl, { isWebGL2, width, height, createProgram, sources, storage = globalThis.localStorage }) {
+        this.gl = gl;
+        this.isWebGL2 = isWebGL2;
+        this.storage = storage;
+        this.enabled = this.load();
+
+        this.createProgram = createProgram;
+        this.sources = sources;
+        this.createResources(width, height);
+        for (const { id } of POST_EFFECTS) {
+            if (!this.available[id]) {
+                console.warn(`Post-processing effect ${id} is unavailable on this GPU`);
+            }
+        }
+    }
+
+    // Programs, geometry and render targets. Extensions are looked up again
+    // too: a restored context has none enabled.
+    createResources(width, height) {
+        const { createProgram, sources } = this;
+        this.programs = {
+            bright: createProgram(sources.vertex, sources.bright),
+            blur: createProgram(sources.vertex, sources.blur),
+            composite: createProgram(sources.vertex, sources.composite),
+        };
+        this.createGeometry();
+
+        this.bloomFormat = halfFloatFormat(this.gl, this.isWebGL2);
+        this.createTargets(width, height);
+    }
+
+    // Rebuild after the context was restored; the old GL objects were lost
+    // with it. Effect choices are kept.
+    restore(width, height) {
+        this.createResources(width, height);
+    }
+
+    // Read saved effect choices (all off by default)
+    load() {
+        const enabled = Object.fromEntries(POST_EFFECTS.map(({ id }) => [id, false]));
+        try {
+            const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                for (const { id } of POST_EFFECTS) {
+                    enabled[id] = parsed[id] === true;
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable post-processing settings:', error);
+        }
+        return enabled;
+    }
+
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.enabled));
+            }
+        } catch (error) {
+            console.warn('Could not save post-processing settings:', error);
+        }
+    }
+
+    isEnabled(id) {
+        return this.enabled[id] && this.available[id];
+    }
+
+    setEnabled(id, enabled) {
+        this.enabled[id] = enabled;
+        this.save();
+    }
+
+    // Whether any effect will run, i.e. the scene must go offscreen
+    get active() {
+        return POST_EFFECTS.some(({ id }) => this.isEnabled(id));
+    }
+
+    // One triangle covering the screen, in a VAO on WebGL2
+    createGeometry() {
+        const gl = this.gl;
+        this.vao = this.isWebGL2 ? gl.createVertexArray() : null;
+        if (this.vao) gl.bindVertexArray(this.vao);
+
+        this.buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+        if (this.vao) {
+            this.pointAttributes(this.programs.composite);
+            gl.bindVertexArray(null);
+        }
+    }
+
+    // Feed the screen triangle to a program's a_position. Every pass program
+    // shares the vertex shader, so on WebGL2 the VAO set up once serves all.
+    pointAttributes(program) {
+        const gl = this.gl;
+        const location = gl.getAttribLocation(program, 'a_position');
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+    }
+
+    // A texture with a framebuffer rendering into it, or null if the
+    // combination isn't renderable here
+    createTarget(width, height, { internalFormat, format, type, filter }) {
+        const gl = this.gl;
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, format, type, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (!complete) {
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(texture);
+            return null;
+        }
+        return { texture, framebuffer, width, height };
+    }
+
+    // Scene and bloom targets for a width x height playfield; an effect whose
+    // targets fail stays unavailable
+    createTargets(width, height) {
+        const gl = this.gl;
+        this.width = width;
+        this.height = height;
+
+        this.scene = this.createTarget(width, height, { internalFormat: gl.RGBA, format: gl.RGBA, type: gl.UNSIGNED_BYTE, filter: gl.LINEAR });
+        this.bloom = this.scene && this.bloomFormat
+            ? [0, 1].map(() => this.createTarget(Math.max(1, width >> 1), Math.max(1, height >> 1), this.bloomFormat))
+            : [];
+
+        this.available = {
+            bloom: this.bloom.length === 2 && this.bloom.every(Boolean),
+            crt: Boolean(this.scene),
+            vignette: Boolean(this.scene),
+        };
+    }
+
+    // Recreate the render targets when the playfield changes size on screen
+    resize(width, height) {
+        if (width === this.width && height === this.height) return;
+
+        const gl = this.gl;
+        for (const target of [this.scene, ...this.bloom]) {
+            if (target) {
+                gl.deleteFramebuffer(target.framebuffer);
+                gl.deleteTexture(target.texture);
+            }
+        }
+        this.createTargets(width, height);
+    }
+
+    // Redirect drawing into the offscreen scene target
+    begin() {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.scene.framebuffer);
+        gl.viewport(0, 0, this.width, this.height);
+    }
+
+    // Run one full-screen pass from `source` textures into `target`, or into
+    // the `screen` rectangle of the default framebuffer if target is null
+    pass(program, target, textures, uniforms = {}, screen = null) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        if (target) {
+            gl.viewport(0, 0, target.width, target.height);
+        } else {
+            gl.viewport(screen.x, screen.y, screen.width, screen.height);
+        }
+        gl.useProgram(program);
+
+        Object.entries(textures).forEach(([name, texture], unit) => {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(gl.getUniformLocation(program, name), unit);
+        });
+        for (const [name, value] of Object.entries(uniforms)) {
+            const location = gl.getUniformLocation(program, name);
+            if (Array.isArray(value)) {
+                gl.uniform2f(location, ...value);
+            } else {
+                gl.uniform1f(location, value);
+            }
+        }
+
+        if (this.vao) {
+            gl.bindVertexArray(this.vao);
+        } else {
+            this.pointAttributes(program);
+        }
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+    }
+
+    // Apply the enabled effects and draw the result into the `screen`
+    // rectangle ({ x, y, width, height }, GL viewport coordinates). Leaves the
+    // default framebuffer bound with blending on and texture unit 0 active.
+    end(screen) {
+        const gl = this.gl;
+        gl.disable(gl.BLEND);
+
+        const bloom = this.isEnabled('bloom');
+        if (bloom) {
+            const [a, b] = this.bloom;
+            this.pass(this.programs.bright, a, { u_source: this.scene.texture }, { u_threshold: BLOOM_THRESHOLD });
+            this.pass(this.programs.blur, b, { u_source: a.texture }, { u_direction: [1 / a.width, 0] });
+            this.pass(this.programs.blur, a, { u_source: b.texture }, { u_direction: [0, 1 / a.height] });
+        }
+
+        this.pass(
+            this.programs.composite,
+            null,
+            { u_source: this.scene.texture, u_bloom: bloom ? this.bloom[0].texture : this.scene.texture },
+            {
+                u_resolution: [this.width, this.height],
+                u_bloomStrength: bloom ? BLOOM_STRENGTH : 0,
+                u_crt: this.isEnabled('crt') ? 1 : 0,
+                u_vignette: this.isEnabled('vignette') ? 1 : 0,
+            },
+            screen,
+        );
+
+        if (this.vao) gl.bindVertexArray(null);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.enable(gl.BLEND);
+    }
+}
+
+// Checkboxes for each post-processing effect; unavailable ones are disabled
+export function createPostControls(container, post) {
+    const labels = POST_EFFECTS.map(({ id, label }) => {
+        const wrapper = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = post.isEnabled(id);
+        checkbox.disabled = !post.available[id];
+        if (checkbox.disabled) {
+            wrapper.title = 'Not supported by this browser or GPU';
+        }
+        checkbox.addEventListener('change', () => {
+            post.setEnabled(id, checkbox.checked);
+            checkbox.blur();
+        });
+
+        wrapper.append(checkbox, ` ${label}`);
+        return wrapper;
+    });
+
+    container.append('Effects: ', ...labels.flatMap((label) => [label, ' ']));
+}
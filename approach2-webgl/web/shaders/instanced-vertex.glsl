@@ -0,0 +1,24 @@
+// Vertex shader for instanced quads (WebGL2)
+// Every instance is one rectangle; the four vertices of a unit quad are
+// scaled into it, and the texture rectangle is mapped the same way
+
+attribute vec2 a_corner;   // Unit quad corner (0 or 1 on each axis), per vertex
+attribute vec4 a_rect;     // x, y, width, height in pixels, per instance
+attribute vec4 a_texrect;  // u1, v1, u2, v2, per instance
+attribute vec4 a_color;    // Tint color, per instance
+
+uniform vec2 u_resolution;
+
+varying vec2 v_texcoord;
+varying vec4 v_color;
+
+void main() {
+    vec2 position = a_rect.xy + a_corner * a_rect.zw;
+
+    // Convert from pixels to clip space, flipping Y so that 0 is at the top
+    vec2 clipSpace = position / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
+
+    v_texcoord = mix(a_texrect.xy, a_texrect.zw, a_corner);
+    v_color = a_color;
+}
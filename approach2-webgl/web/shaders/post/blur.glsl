@@ -0,0 +1,21 @@
+// Bloom blur pass
+// One direction of a separable 9-tap Gaussian blur, taken as five bilinear
+// samples. u_direction is one texel along the blur axis.
+
+precision mediump float;
+
+uniform sampler2D u_source;
+uniform vec2 u_direction;
+
+varying vec2 v_uv;
+
+void main() {
+    vec3 sum = texture2D(u_source, v_uv).rgb * 0.2270270;
+
+    vec2 near = u_direction * 1.3846154;
+    vec2 far = u_direction * 3.2307692;
+    sum += (texture2D(u_source, v_uv + near).rgb + texture2D(u_source, v_uv - near).rgb) * 0.3162162;
+    sum += (texture2D(u_source, v_uv + far).rgb + texture2D(u_source, v_uv - far).rgb) * 0.0702703;
+
+    gl_FragColor = vec4(sum, 1.0);
+}
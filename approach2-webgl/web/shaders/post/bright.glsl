@@ -0,0 +1,15 @@
+// Bloom bright pass
+// Keeps only the parts of the scene brighter than the threshold
+
+precision mediump float;
+
+uniform sampler2D u_source;
+uniform float u_threshold;
+
+varying vec2 v_uv;
+
+void main() {
+    vec3 color = texture2D(u_source, v_uv).rgb;
+    float brightness = max(color.r, max(color.g, color.b));
+    gl_FragColor = vec4(color * smoothstep(u_threshold, 1.0, brightness), 1.0);
+}
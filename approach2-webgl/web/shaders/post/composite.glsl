@@ -0,0 +1,47 @@
+// Final post-processing pass
+// Adds the blurred bloom to the scene, then applies CRT curvature and
+// scanlines and the vignette. Each effect is switched by its uniform.
+
+precision mediump float;
+
+uniform sampler2D u_source;
+uniform sampler2D u_bloom;
+uniform vec2 u_resolution;
+uniform float u_bloomStrength; // 0 = no bloom
+uniform bool u_crt;
+uniform bool u_vignette;
+
+varying vec2 v_uv;
+
+// Bulge the picture like the glass of a CRT
+vec2 curve(vec2 uv) {
+    vec2 centered = uv * 2.0 - 1.0;
+    vec2 offset = abs(centered.yx) / vec2(6.0, 5.0);
+    centered += centered * offset * offset;
+    return centered * 0.5 + 0.5;
+}
+
+void main() {
+    vec2 uv = u_crt ? curve(v_uv) : v_uv;
+
+    // Outside the curved screen
+    if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+
+    vec3 color = texture2D(u_source, uv).rgb;
+    color += texture2D(u_bloom, uv).rgb * u_bloomStrength;
+
+    if (u_crt) {
+        // Darken every other pixel row
+        color *= 0.8 + 0.2 * sin(uv.y * u_resolution.y * 3.14159265);
+    }
+
+    if (u_vignette) {
+        vec2 fromCenter = v_uv - 0.5;
+        color *= clamp(1.0 - dot(fromCenter, fromCenter) * 1.5, 0.0, 1.0);
+    }
+
+    gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+}
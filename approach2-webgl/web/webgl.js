@@ -1,281 +1,654 @@
 // WebGL JavaScript bindings for Zig WASM game
-// Provides gl_clear, gl_draw_quad, and gl_draw_triangle functions
-
-let gl;
-let shaderProgram;
-let positionBuffer;
-let resolutionUniformLocation;
-let colorUniformLocation;
-let wasmInstance;
-let lastTime = 0;
-
-// Canvas dimensions
-const CANVAS_WIDTH = 800;
-const CANVAS_HEIGHT = 600;
-
-// Initialize WebGL context and setup
-async function initWebGL() {
-    const canvas = document.getElementById('gameCanvas');
-    if (!canvas) {
-        console.error('Canvas element not found');
-        return false;
-    }
+// Provides gl_clear, gl_draw_quad, gl_draw_triangle and gl_draw_sprite functions.
+// Primitives are accumulated into batches and drawn together; a batch is only
+// split when the kind of primitive or the texture changes.
+// With WebGL2, quads and sprites are drawn as instances of one unit quad (one
+// record of position, size, texture rectangle and color per quad) and each
+// program keeps its attribute setup in a vertex array object. WebGL1 falls
+// back to expanding every quad into two triangles of the vertex batch.
+// Textures are uploaded with premultiplied alpha and blended as such.
+// Optional post-processing effects (see postprocess.js) are applied to the
+// game's drawing before the overlay is added.
+// Shaders map the 800x600 playfield to clip space; the GL viewport then puts
+// it in the letterboxed rectangle of the canvas (see shared/viewport.js).
+// If the context is lost (GPU reset, too many contexts) nothing is drawn until
+// it is restored; then programs, buffers and textures are rebuilt from the
+// sources kept here, while the WASM game state is untouched.
+
+import { loadAtlas } from '../../shared/atlas.js';
+import { drawOverlay } from '../../shared/overlay.js';
+import { CanvasViewport, PLAYFIELD_HEIGHT, PLAYFIELD_WIDTH } from '../../shared/viewport.js';
+import { POST_SHADERS, PostProcessor } from './postprocess.js';
+
+// Vertex layout of the triangle batch: x, y, u, v, r, g, b, a
+const FLOATS_PER_VERTEX = 8;
+const BYTES_PER_VERTEX = FLOATS_PER_VERTEX * 4;
+
+// Instance layout of the quad batch: x, y, w, h, u1, v1, u2, v2, r, g, b, a
+const FLOATS_PER_INSTANCE = 12;
+const BYTES_PER_INSTANCE = FLOATS_PER_INSTANCE * 4;
+
+// Initial batch capacities (grow by doubling)
+const INITIAL_BATCH_VERTICES = 1024;
+const INITIAL_BATCH_INSTANCES = 256;
+
+// Render paths, reported by the renderer's `path`
+export const WEBGL2_INSTANCED = 'WebGL2 (instanced)';
+export const WEBGL1_BATCHED = 'WebGL1 (batched)';
+
+// Sprite kinds game.zig knows, indexed by its SPRITE_* constants, named after
+// the shared atlas animations
+const SPRITE_KINDS = ['player', 'enemy', 'obstacle', 'bullet'];
+const MAX_SPRITE_FRAMES = 4;
+
+// Load and decode an image
+async function loadImage(url) {
+    const image = new Image();
+    image.src = new URL(url, document.baseURI).href;
+    await image.decode();
+    return image;
+}
 
-    // Set canvas size
-    canvas.width = CANVAS_WIDTH;
-    canvas.height = CANVAS_HEIGHT;
+// Load shader from file
+async function loadShader(path) {
+    try {
+        const response = await fetch(path);
+        if (!response.ok) {
+            console.error(`Failed to load shader: ${path}`);
+            return null;
+        }
+        return await response.text();
+    } catch (error) {
+        console.error(`Error loading shader ${path}:`, error);
+        return null;
+    }
+}
 
-    // Get WebGL context
-    gl = canvas.getContext('webgl');
-    if (!gl) {
-        console.error('WebGL not supported');
-        return false;
+// Growable array of fixed-size float records (vertices or instances) for one
+// GL buffer
+class FloatBatch {
+    constructor(stride, initialRecords) {
+        this.stride = stride;
+        this.data = new Float32Array(stride * initialRecords);
+        this.count = 0;
+        this.bufferCapacity = 0; // GPU buffer size in records
     }
 
-    // Load and compile shaders
-    const vertexShaderSource = await loadShader('shaders/vertex.glsl');
-    const fragmentShaderSource = await loadShader('shaders/fragment.glsl');
+    // Make room for `records` more records and return the float offset to
+    // write them at
+    claim(records) {
+        const offset = this.count * this.stride;
+        const needed = offset + records * this.stride;
 
-    if (!vertexShaderSource || !fragmentShaderSource) {
-        console.error('Failed to load shaders');
-        return false;
-    }
+        if (needed > this.data.length) {
+            let size = this.data.length * 2;
+            while (size < needed) size *= 2;
 
-    const vertexShader = compileShader(gl.VERTEX_SHADER, vertexShaderSource);
-    const fragmentShader = compileShader(gl.FRAGMENT_SHADER, fragmentShaderSource);
+            const grown = new Float32Array(size);
+            grown.set(this.data.subarray(0, offset));
+            this.data = grown;
+        }
 
-    if (!vertexShader || !fragmentShader) {
-        console.error('Failed to compile shaders');
-        return false;
+        this.count += records;
+        return offset;
     }
 
-    // Create shader program
-    shaderProgram = gl.createProgram();
-    gl.attachShader(shaderProgram, vertexShader);
-    gl.attachShader(shaderProgram, fragmentShader);
-    gl.linkProgram(shaderProgram);
+    // Upload the records to `buffer`, reallocating it to the batch's full
+    // capacity when it has grown
+    upload(gl, buffer) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        if (this.count > this.bufferCapacity) {
+            this.bufferCapacity = this.data.length / this.stride;
+            gl.bufferData(gl.ARRAY_BUFFER, this.data.byteLength, gl.DYNAMIC_DRAW);
+        }
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.data.subarray(0, this.count * this.stride));
+    }
+}
+
+// Create the WebGL renderer for the shared host.
+// Pass { webgl2: false } to skip WebGL2 and use the WebGL1 path.
+export function createWebGLRenderer(canvas, { webgl2 = true } = {}) {
+    let gl;
+    let isWebGL2 = false;
+
+    // Backing store size and the playfield rectangle in it
+    const viewport = new CanvasViewport(canvas);
+
+    // Program drawing the triangle batch: { program, buffer, vao }.
+    // In WebGL1 it draws everything; in WebGL2 only triangles.
+    let trianglePass = null;
+    // WebGL2 program drawing instanced quads:
+    // { program, cornerBuffer, instanceBuffer, vao }, or null in WebGL1
+    let quadPass = null;
+
+    // Primitives waiting to be drawn by flush()
+    const triangles = new FloatBatch(FLOATS_PER_VERTEX, INITIAL_BATCH_VERTICES);
+    const quads = new FloatBatch(FLOATS_PER_INSTANCE, INITIAL_BATCH_INSTANCES);
+    // Batch receiving primitives and the texture they sample; only this one
+    // can hold anything
+    let activeBatch = triangles;
+    let batchTexture = 0;
+
+    // Textures by ID ({ texture, source, width, height }). ID 0 is a 1x1
+    // white texture used for flat-colored primitives, so one program draws
+    // both. The source is kept to upload it again after a context loss.
+    const textures = [];
+
+    // Shared sprite atlas handed to game.zig in attach(), or null
+    let atlas = null;
+    let atlasTextureId = 0;
+
+    // Active render path (WEBGL2_INSTANCED or WEBGL1_BATCHED) once initialized
+    let path = null;
+
+    // PostProcessor, or null if it couldn't be set up
+    let post = null;
+    // WebGL1 only: post-processing repointed the vertex attributes, so the
+    // triangle pass must set them up again before its next draw
+    let attributesStale = false;
+
+    // gl_draw_* calls since the start of the frame (performance overlay)
+    let drawCalls = 0;
+
+    // Shader sources ({ vertex, fragment, instanced }), kept to rebuild the
+    // programs when a lost context is restored
+    let shaderSources = null;
+    // Whether the context is lost; frames are skipped until it's restored
+    let contextLost = false;
+
+    // Initialize WebGL context and setup
+    async function initWebGL() {
+        // Size the canvas to its displayed size in device pixels
+        viewport.observe();
+
+        // Get a WebGL2 context if we can, else WebGL1
+        gl = webgl2 ? canvas.getContext('webgl2') : null;
+        isWebGL2 = Boolean(gl);
+        if (!gl) {
+            gl = canvas.getContext('webgl');
+        }
+        if (!gl) {
+            throw new Error('WebGL is not supported in this browser');
+        }
+        canvas.addEventListener('webglcontextlost', onContextLost);
+        canvas.addEventListener('webglcontextrestored', onContextRestored);
+
+        // Load and compile shaders
+        const [vertexShaderSource, fragmentShaderSource, instancedShaderSource] = await Promise.all([
+            loadShader(new URL('shaders/vertex.glsl', import.meta.url)),
+            loadShader(new URL('shaders/fragment.glsl', import.meta.url)),
+            isWebGL2 ? loadShader(new URL('shaders/instanced-vertex.glsl', import.meta.url)) : '',
+        ]);
+
+        if (!vertexShaderSource || !fragmentShaderSource || instancedShaderSource === null) {
+            throw new Error('Failed to load shaders');
+        }
+        shaderSources = {
+            vertex: vertexShaderSource,
+            fragment: fragmentShaderSource,
+            instanced: instancedShaderSource,
+        };
+
+        createPasses();
+        path = isWebGL2 ? WEBGL2_INSTANCED : WEBGL1_BATCHED;
+        console.info(`WebGL render path: ${path}`);
+
+        // Texture 0: white, for flat colors
+        createTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
 
-    if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-        console.error('Failed to link shader program:', gl.getProgramInfoLog(shaderProgram));
-        return false;
+        // Post-processing; without it the game is drawn straight to the screen
+        try {
+            const sources = await Promise.all(Object.values(POST_SHADERS).map((file) =>
+                loadShader(new URL(file, import.meta.url))));
+            if (sources.includes(null)) {
+                throw new Error('Failed to load post-processing shaders');
+            }
+            post = new PostProcessor(gl, {
+                isWebGL2,
+                width: viewport.rect.width,
+                height: viewport.rect.height,
+                createProgram,
+                sources: Object.fromEntries(Object.keys(POST_SHADERS).map((name, i) => [name, sources[i]])),
+            });
+        } catch (error) {
+            console.warn('Post-processing unavailable:', error);
+            post = null;
+        }
+
+        // The shared sprite atlas; without it game.zig keeps drawing flat shapes
+        try {
+            atlas = await loadAtlas();
+            atlasTextureId = createTexture(atlas.image);
+        } catch (error) {
+            console.warn('Sprite atlas unavailable, drawing flat shapes:', error);
+            atlas = null;
+        }
     }
 
-    gl.useProgram(shaderProgram);
+    // Programs and buffers of the render passes, and the blend state
+    function createPasses() {
+        trianglePass = createTrianglePass(shaderSources.vertex, shaderSources.fragment);
+        if (isWebGL2) {
+            quadPass = createQuadPass(shaderSources.instanced, shaderSources.fragment);
+        }
 
-    // Get attribute and uniform locations
-    const positionAttributeLocation = gl.getAttribLocation(shaderProgram, 'a_position');
-    resolutionUniformLocation = gl.getUniformLocation(shaderProgram, 'u_resolution');
-    colorUniformLocation = gl.getUniformLocation(shaderProgram, 'u_color');
+        // Enable blending for premultiplied alpha (the fragment shader
+        // premultiplies vertex colors; textures are uploaded premultiplied)
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    // Preventing the default tells the browser we want the context back
+    function onContextLost(event) {
+        event.preventDefault();
+        contextLost = true;
+        console.warn('WebGL context lost; waiting for it to be restored');
+    }
 
-    // Create position buffer
-    positionBuffer = gl.createBuffer();
+    // Everything created on the old context is gone: rebuild the passes,
+    // upload every texture again under its old ID (game.zig keeps using
+    // them) and recreate the post-processing targets. Batched primitives
+    // of the interrupted frame are dropped.
+    function onContextRestored() {
+        try {
+            createPasses();
+            for (const entry of textures) {
+                entry.texture = uploadTexture(entry.source, entry.width, entry.height);
+            }
+            if (post) {
+                post.restore(viewport.rect.width, viewport.rect.height);
+            }
+        } catch (error) {
+            console.error('Could not restore the WebGL context:', error);
+            return;
+        }
 
-    // Enable the position attribute
-    gl.enableVertexAttribArray(positionAttributeLocation);
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.vertexAttribPointer(positionAttributeLocation, 2, gl.FLOAT, false, 0, 0);
+        for (const batch of [triangles, quads]) {
+            batch.count = 0;
+            batch.bufferCapacity = 0;
+        }
+        activeBatch = triangles;
+        batchTexture = 0;
+        attributesStale = false;
+        contextLost = false;
+        console.info('WebGL context restored');
+    }
 
-    // Set the resolution uniform
-    gl.uniform2f(resolutionUniformLocation, CANVAS_WIDTH, CANVAS_HEIGHT);
+    // Lose the context on purpose through WEBGL_lose_context and restore it
+    // `restoreAfter` ms later, to test recovery. Returns false if the
+    // extension isn't available or the context is already lost.
+    function simulateContextLoss(restoreAfter = 2000) {
+        const extension = gl && !contextLost ? gl.getExtension('WEBGL_lose_context') : null;
+        if (!extension) return false;
 
-    // Enable blending for transparency
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        extension.loseContext();
+        setTimeout(() => extension.restoreContext(), restoreAfter);
+        return true;
+    }
 
-    return true;
-}
+    // Compile a shader
+    function compileShader(type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
 
-// Load shader from file
-async function loadShader(path) {
-    try {
-        const response = await fetch(path);
-        if (!response.ok) {
-            console.error(`Failed to load shader: ${path}`);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error('Shader compilation error:', gl.getShaderInfoLog(shader));
+            gl.deleteShader(shader);
             return null;
         }
-        return await response.text();
-    } catch (error) {
-        console.error(`Error loading shader ${path}:`, error);
-        return null;
+
+        return shader;
     }
-}
 
-// Compile a shader
-function compileShader(type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
+    // Compile and link a program, setting the uniforms every program shares
+    function createProgram(vertexShaderSource, fragmentShaderSource) {
+        const vertexShader = compileShader(gl.VERTEX_SHADER, vertexShaderSource);
+        const fragmentShader = compileShader(gl.FRAGMENT_SHADER, fragmentShaderSource);
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error('Shader compilation error:', gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
-    }
+        if (!vertexShader || !fragmentShader) {
+            throw new Error('Failed to compile shaders');
+        }
 
-    return shader;
-}
+        const program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        gl.linkProgram(program);
 
-// Clear the screen with a color
-function gl_clear(r, g, b, a) {
-    gl.clearColor(r, g, b, a);
-    gl.clear(gl.COLOR_BUFFER_BIT);
-}
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Failed to link shader program: ${gl.getProgramInfoLog(program)}`);
+        }
 
-// Draw a filled rectangle (quad)
-function gl_draw_quad(x, y, w, h, r, g, b, a) {
-    // Define two triangles to form a rectangle
-    const x1 = x;
-    const y1 = y;
-    const x2 = x + w;
-    const y2 = y + h;
-
-    const positions = new Float32Array([
-        x1, y1,  // Top-left
-        x2, y1,  // Top-right
-        x1, y2,  // Bottom-left
-        x1, y2,  // Bottom-left
-        x2, y1,  // Top-right
-        x2, y2,  // Bottom-right
-    ]);
-
-    // Set the color uniform
-    gl.uniform4f(colorUniformLocation, r, g, b, a);
-
-    // Set the position buffer
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
-
-    // Draw the quad
-    gl.drawArrays(gl.TRIANGLES, 0, 6);
-}
+        // Set the resolution uniform to the playfield; every texture is sampled from unit 0
+        gl.useProgram(program);
+        gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT);
+        gl.uniform1i(gl.getUniformLocation(program, 'u_texture'), 0);
+        return program;
+    }
 
-// Draw a filled triangle
-function gl_draw_triangle(x1, y1, x2, y2, x3, y3, r, g, b, a) {
-    const positions = new Float32Array([
-        x1, y1,
-        x2, y2,
-        x3, y3,
-    ]);
+    // Point a float attribute at the bound ARRAY_BUFFER. `divisor` 1 advances
+    // it once per instance instead of once per vertex (WebGL2 only).
+    function setAttribute(program, name, size, stride, offset, divisor = 0) {
+        const location = gl.getAttribLocation(program, name);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+        if (divisor > 0) {
+            gl.vertexAttribDivisor(location, divisor);
+        }
+    }
 
-    // Set the color uniform
-    gl.uniform4f(colorUniformLocation, r, g, b, a);
+    // Program and interleaved vertex buffer for the triangle batch. In WebGL1
+    // there is no VAO, so its attributes stay enabled between draws.
+    function createTrianglePass(vertexShaderSource, fragmentShaderSource) {
+        const program = createProgram(vertexShaderSource, fragmentShaderSource);
+        const vao = isWebGL2 ? gl.createVertexArray() : null;
+        if (vao) gl.bindVertexArray(vao);
 
-    // Set the position buffer
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+        const buffer = gl.createBuffer();
+        pointTriangleAttributes(program, buffer);
 
-    // Draw the triangle
-    gl.drawArrays(gl.TRIANGLES, 0, 3);
-}
+        if (vao) gl.bindVertexArray(null);
+        return { program, buffer, vao };
+    }
 
-// Load WASM module and initialize game
-async function loadWasm() {
-    try {
-        // Define the imports that WASM expects
-        const wasmImports = {
-            env: {
-                gl_clear: gl_clear,
-                gl_draw_quad: gl_draw_quad,
-                gl_draw_triangle: gl_draw_triangle,
-            }
-        };
+    // Point the triangle program's attributes at the interleaved vertex buffer
+    function pointTriangleAttributes(program, buffer) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        setAttribute(program, 'a_position', 2, BYTES_PER_VERTEX, 0);
+        setAttribute(program, 'a_texcoord', 2, BYTES_PER_VERTEX, 8);
+        setAttribute(program, 'a_color', 4, BYTES_PER_VERTEX, 16);
+    }
 
-        // Load and instantiate WASM module
-        const response = await fetch('game-webgl.wasm');
-        const wasmBytes = await response.arrayBuffer();
-        const wasmModule = await WebAssembly.instantiate(wasmBytes, wasmImports);
+    // WebGL2 program for quads: a static unit quad drawn once per record of
+    // the instance buffer
+    function createQuadPass(vertexShaderSource, fragmentShaderSource) {
+        const program = createProgram(vertexShaderSource, fragmentShaderSource);
+        const vao = gl.createVertexArray();
+        gl.bindVertexArray(vao);
+
+        // Corners of the unit quad, drawn as a triangle strip
+        const cornerBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+        setAttribute(program, 'a_corner', 2, 0, 0);
+
+        const instanceBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+        setAttribute(program, 'a_rect', 4, BYTES_PER_INSTANCE, 0, 1);
+        setAttribute(program, 'a_texrect', 4, BYTES_PER_INSTANCE, 16, 1);
+        setAttribute(program, 'a_color', 4, BYTES_PER_INSTANCE, 32, 1);
+
+        gl.bindVertexArray(null);
+        return { program, cornerBuffer, instanceBuffer, vao };
+    }
 
-        wasmInstance = wasmModule.instance;
+    // Upload an image (or raw RGBA pixels with their size) as a texture and
+    // return its ID
+    function createTexture(source, width = source.naturalWidth ?? source.width, height = source.naturalHeight ?? source.height) {
+        textures.push({ texture: uploadTexture(source, width, height), source, width, height });
+        return textures.length - 1;
+    }
 
-        // Initialize the game
-        wasmInstance.exports.init();
+    // Create the GL texture for createTexture(). Sprites are pixel art, so
+    // sampling is nearest-neighbour; clamping keeps non-power-of-two sizes
+    // legal in WebGL 1.
+    function uploadTexture(source, width, height) {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+        if (ArrayBuffer.isView(source)) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+        }
 
-        console.log('WASM module loaded and game initialized');
-        return true;
-    } catch (error) {
-        console.error('Failed to load WASM module:', error);
-        return false;
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
     }
-}
 
-// Game loop
-function gameLoop(currentTime) {
-    // Calculate delta time in seconds
-    const deltaTime = lastTime === 0 ? 0 : (currentTime - lastTime) / 1000;
-    lastTime = currentTime;
+    // Load an image URL as a texture; resolves to the ID to pass to gl_draw_sprite
+    async function loadTexture(url) {
+        return createTexture(await loadImage(url));
+    }
 
-    // Cap delta time to avoid large jumps
-    const cappedDeltaTime = Math.min(deltaTime, 0.1);
+    // Hand the atlas texture and its animation frames to game.zig (if this
+    // build of the module supports sprites)
+    function attachSprites(exports) {
+        if (!atlas || typeof exports.set_sprite_texture !== 'function') return;
+
+        SPRITE_KINDS.forEach((animation, kind) => {
+            if (!atlas.has(animation)) return;
+
+            const { fps, frames } = atlas.animations[animation];
+            frames.slice(0, MAX_SPRITE_FRAMES).forEach((name, i) => {
+                const { x, y, w, h, cap = 0 } = atlas.frames[name];
+                exports.set_sprite_frame(kind, i, x, y, w, h, cap);
+            });
+            exports.set_sprite_fps(kind, fps);
+        });
+        exports.set_sprite_texture(atlasTextureId);
+    }
 
-    // Update game logic
-    if (wasmInstance) {
-        wasmInstance.exports.update(cappedDeltaTime);
-        wasmInstance.exports.render();
+    // Send the next primitives to `batch`, sampling `textureId`. Whatever is
+    // queued in another batch or for another texture is drawn first, which
+    // keeps the order Zig issued the calls in.
+    function useBatch(batch, textureId) {
+        if (batch === activeBatch && textureId === batchTexture) return;
+        flush();
+        activeBatch = batch;
+        batchTexture = textureId;
+    }
 
-        // Update score display
-        const score = wasmInstance.exports.get_score();
-        const isAlive = wasmInstance.exports.is_alive();
+    // Write one vertex into the triangle batch at float offset `i`; returns
+    // the offset of the next vertex
+    function writeVertex(i, x, y, u, v, r, g, b, a) {
+        const data = triangles.data;
+        data[i++] = x;
+        data[i++] = y;
+        data[i++] = u;
+        data[i++] = v;
+        data[i++] = r;
+        data[i++] = g;
+        data[i++] = b;
+        data[i++] = a;
+        return i;
+    }
 
-        const scoreElement = document.getElementById('score');
-        if (scoreElement) {
-            scoreElement.textContent = `Score: ${score}`;
+    // Queue a textured, tinted rectangle: one instance with WebGL2, two
+    // triangles with WebGL1
+    function pushQuad(textureId, x, y, w, h, u1, v1, u2, v2, r, g, b, a) {
+        if (quadPass) {
+            useBatch(quads, textureId);
+            let i = quads.claim(1);
+            const data = quads.data;
+            data[i++] = x;
+            data[i++] = y;
+            data[i++] = w;
+            data[i++] = h;
+            data[i++] = u1;
+            data[i++] = v1;
+            data[i++] = u2;
+            data[i++] = v2;
+            data[i++] = r;
+            data[i++] = g;
+            data[i++] = b;
+            data[i] = a;
+            return;
+        }
+
+        const x2 = x + w;
+        const y2 = y + h;
+
+        useBatch(triangles, textureId);
+        let i = triangles.claim(6);
+        i = writeVertex(i, x, y, u1, v1, r, g, b, a);   // Top-left
+        i = writeVertex(i, x2, y, u2, v1, r, g, b, a);  // Top-right
+        i = writeVertex(i, x, y2, u1, v2, r, g, b, a);  // Bottom-left
+        i = writeVertex(i, x, y2, u1, v2, r, g, b, a);  // Bottom-left
+        i = writeVertex(i, x2, y, u2, v1, r, g, b, a);  // Top-right
+        writeVertex(i, x2, y2, u2, v2, r, g, b, a);     // Bottom-right
+    }
 
-            if (!isAlive) {
-                scoreElement.textContent += ' - GAME OVER! (Refresh to restart)';
+    // Draw the queued primitives in a single call
+    function flush() {
+        if (activeBatch.count === 0) return;
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, textures[batchTexture].texture);
+
+        if (activeBatch === quads) {
+            gl.useProgram(quadPass.program);
+            gl.bindVertexArray(quadPass.vao);
+            quads.upload(gl, quadPass.instanceBuffer);
+            gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, quads.count);
+        } else {
+            gl.useProgram(trianglePass.program);
+            if (trianglePass.vao) {
+                gl.bindVertexArray(trianglePass.vao);
+            } else if (attributesStale) {
+                pointTriangleAttributes(trianglePass.program, trianglePass.buffer);
+                attributesStale = false;
             }
+            triangles.upload(gl, trianglePass.buffer);
+            gl.drawArrays(gl.TRIANGLES, 0, triangles.count);
         }
+
+        activeBatch.count = 0;
     }
 
-    // Continue the loop
-    requestAnimationFrame(gameLoop);
-}
+    // Playfield rectangle in GL viewport coordinates (origin at the bottom left)
+    function playfieldRect() {
+        const { x, y, width, height } = viewport.rect;
+        return { x, y: canvas.height - y - height, width, height };
+    }
 
-// Keyboard input handling
-function setupKeyboardInput() {
-    window.addEventListener('keydown', (event) => {
-        if (wasmInstance) {
-            wasmInstance.exports.key_down(event.keyCode);
-        }
-        // Prevent arrow keys from scrolling the page
-        if ([37, 38, 39, 40].includes(event.keyCode)) {
-            event.preventDefault();
-        }
-    });
+    // Draw into the playfield on screen. The scissor keeps gl_clear off the
+    // letterbox bars too.
+    function usePlayfield() {
+        const { x, y, width, height } = playfieldRect();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(x, y, width, height);
+        gl.scissor(x, y, width, height);
+        gl.enable(gl.SCISSOR_TEST);
+    }
 
-    window.addEventListener('keyup', (event) => {
-        if (wasmInstance) {
-            wasmInstance.exports.key_up(event.keyCode);
-        }
-    });
-}
+    // Clear the screen with a color
+    function gl_clear(r, g, b, a) {
+        // Anything batched so far belongs underneath the clear
+        flush();
+        gl.clearColor(r, g, b, a);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+    }
 
-// Initialize and start the game
-async function main() {
-    console.log('Initializing game...');
+    // Draw a filled rectangle (quad)
+    function gl_draw_quad(x, y, w, h, r, g, b, a) {
+        drawCalls++;
+        pushQuad(0, x, y, w, h, 0, 0, 0, 0, r, g, b, a);
+    }
 
-    // Initialize WebGL
-    const webglInit = await initWebGL();
-    if (!webglInit) {
-        console.error('Failed to initialize WebGL');
-        return;
+    // Draw a filled triangle into the batch
+    function gl_draw_triangle(x1, y1, x2, y2, x3, y3, r, g, b, a) {
+        drawCalls++;
+        useBatch(triangles, 0);
+        let i = triangles.claim(3);
+        i = writeVertex(i, x1, y1, 0, 0, r, g, b, a);
+        i = writeVertex(i, x2, y2, 0, 0, r, g, b, a);
+        writeVertex(i, x3, y3, 0, 0, r, g, b, a);
     }
 
-    console.log('WebGL initialized');
+    // Draw the (sx, sy, sw, sh) pixel rectangle of a texture into
+    // (dx, dy, dw, dh), multiplied by the tint color.
+    // Unknown texture IDs draw a flat quad in the tint color.
+    function gl_draw_sprite(textureId, sx, sy, sw, sh, dx, dy, dw, dh, r, g, b, a) {
+        const source = textureId > 0 ? textures[textureId] : undefined;
+        if (!source) {
+            gl_draw_quad(dx, dy, dw, dh, r, g, b, a);
+            return;
+        }
 
-    // Load WASM module
-    const wasmLoaded = await loadWasm();
-    if (!wasmLoaded) {
-        console.error('Failed to load WASM module');
-        return;
+        drawCalls++;
+        pushQuad(
+            textureId, dx, dy, dw, dh,
+            sx / source.width, sy / source.height,
+            (sx + sw) / source.width, (sy + sh) / source.height,
+            r, g, b, a,
+        );
     }
 
-    // Setup keyboard input
-    setupKeyboardInput();
+    return {
+        name: 'WebGL',
+        canvas,
+        wasmUrl: new URL('game-webgl.wasm', import.meta.url),
+        init: initWebGL,
+        imports: {
+            gl_clear,
+            gl_draw_quad,
+            gl_draw_triangle,
+            gl_draw_sprite,
+        },
+        attach(instance) {
+            attachSprites(instance.exports);
+        },
+        loadTexture,
+        simulateContextLoss,
+        // WEBGL2_INSTANCED or WEBGL1_BATCHED (null until initialized)
+        get path() {
+            return path;
+        },
+        // PostProcessor for the effect toggles (null if unavailable)
+        get postProcessor() {
+            return post;
+        },
+        // gl_draw_* calls made by the game in the last render()
+        get drawCalls() {
+            return drawCalls;
+        },
+        // Whether the context is lost (nothing is drawn until it's restored)
+        get contextLost() {
+            return contextLost;
+        },
+        render(exports, alpha, overlay) {
+            drawCalls = 0;
+            if (contextLost) return;
+
+            // Black letterbox bars around the playfield
+            gl.disable(gl.SCISSOR_TEST);
+            gl.clearColor(0, 0, 0, 1);
+            gl.clear(gl.COLOR_BUFFER_BIT);
+
+            // Post-processing renders the playfield at its size on screen
+            let postActive = post !== null && post.active;
+            if (postActive) {
+                post.resize(viewport.rect.width, viewport.rect.height);
+                postActive = post.active;
+            }
+            if (postActive) {
+                post.begin();
+            } else {
+                usePlayfield();
+            }
+
+            exports.render(alpha);
 
-    // Start game loop
-    console.log('Starting game loop...');
-    requestAnimationFrame(gameLoop);
-}
+            // Effects apply to the game, not to the overlay text
+            if (postActive) {
+                flush();
+                post.end(playfieldRect());
+                attributesStale = !isWebGL2;
+                usePlayfield();
+            }
 
-// Start the game when page loads
-window.addEventListener('load', main);
+            // Overlay text isn't part of the game's draw calls
+            if (overlay) {
+                const gameDrawCalls = drawCalls;
+                drawOverlay(gl_draw_quad, overlay, PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT);
+                drawCalls = gameDrawCalls;
+            }
+            flush();
+        },
+    };
+}
@@ -3,6 +3,18 @@ extern fn gpu_begin_frame() void;
 extern fn gpu_end_frame() void;
 extern fn gpu_draw_rect(x: f32, y: f32, w: f32, h: f32, r: f32, g: f32, b: f32, a: f32) void;
 extern fn gpu_draw_triangle(x1: f32, y1: f32, x2: f32, y2: f32, x3: f32, y3: f32, r: f32, g: f32, b: f32, a: f32) void;
+// Emit `count` GPU-simulated particles from (x, y) in random directions at up to
+// `speed` pixels/second. color is 0xRRGGBBAA. Purely visual: the simulation
+// never reads them back.
+extern fn gpu_spawn_particles(x: f32, y: f32, count: u32, color: u32, speed: f32) void;
+
+// Gameplay events reported to the JS host (types match shared/events.js).
+// x/y is where it happened; the payload depends on the type.
+extern fn game_event(kind: u32, x: f32, y: f32, payload: i32) void;
+const EVENT_SHOT: u32 = 0; // payload: unused
+const EVENT_ENEMY_DESTROYED: u32 = 1; // payload: points scored
+const EVENT_PLAYER_HIT: u32 = 2; // payload: damage taken
+const EVENT_GAME_OVER: u32 = 3; // payload: final score
 
 // Game constants
 const CANVAS_WIDTH = 800.0;
@@ -23,8 +35,19 @@ const BULLET_SPEED = 400.0;
 const BULLET_WIDTH = 4.0;
 const BULLET_HEIGHT = 10.0;
 const SHOOT_COOLDOWN = 0.15;
+const PLAYER_MAX_HEALTH = 100;
+const ENEMY_DAMAGE = 20;
+const OBSTACLE_DAMAGE = 40;
 const KEY_SPACE = 32;
 
+// Particle effects
+const PARTICLE_EMIT_INTERVAL = 1.0 / 30.0; // seconds between trail/exhaust puffs
+const EXPLOSION_COLOR: u32 = 0xFF8833FF;
+const HIT_COLOR: u32 = 0xFF3333FF;
+const DEATH_COLOR: u32 = 0x33FF33FF;
+const TRAIL_COLOR: u32 = 0xFFFF6699;
+const EXHAUST_COLOR: u32 = 0x66CCFFCC;
+
 // Game state
 const Vec2 = struct {
     x: f32,
@@ -33,36 +56,44 @@ const Vec2 = struct {
 
 const Player = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     vel: Vec2,
     size: f32,
+    health: i32,
 };
 
 const Enemy = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     active: bool,
 };
 
 const Obstacle = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     active: bool,
 };
 
 const Bullet = struct {
     pos: Vec2,
+    prev_pos: Vec2,
     active: bool,
 };
 
 var game_state = struct {
     player: Player = .{
         .pos = .{ .x = CANVAS_WIDTH / 2.0, .y = CANVAS_HEIGHT - 100.0 },
+        .prev_pos = .{ .x = CANVAS_WIDTH / 2.0, .y = CANVAS_HEIGHT - 100.0 },
         .vel = .{ .x = 0.0, .y = 0.0 },
         .size = PLAYER_SIZE,
+        .health = PLAYER_MAX_HEALTH,
     },
-    enemies: [MAX_ENEMIES]Enemy = [_]Enemy{.{ .pos = .{ .x = 0.0, .y = 0.0 }, .active = false }} ** MAX_ENEMIES,
-    obstacles: [MAX_OBSTACLES]Obstacle = [_]Obstacle{.{ .pos = .{ .x = 0.0, .y = 0.0 }, .active = false }} ** MAX_OBSTACLES,
-    bullets: [MAX_BULLETS]Bullet = [_]Bullet{.{ .pos = .{ .x = 0.0, .y = 0.0 }, .active = false }} ** MAX_BULLETS,
+    enemies: [MAX_ENEMIES]Enemy = [_]Enemy{.{ .pos = .{ .x = 0.0, .y = 0.0 }, .prev_pos = .{ .x = 0.0, .y = 0.0 }, .active = false }} ** MAX_ENEMIES,
+    obstacles: [MAX_OBSTACLES]Obstacle = [_]Obstacle{.{ .pos = .{ .x = 0.0, .y = 0.0 }, .prev_pos = .{ .x = 0.0, .y = 0.0 }, .active = false }} ** MAX_OBSTACLES,
+    bullets: [MAX_BULLETS]Bullet = [_]Bullet{.{ .pos = .{ .x = 0.0, .y = 0.0 }, .prev_pos = .{ .x = 0.0, .y = 0.0 }, .active = false }} ** MAX_BULLETS,
     score: i32 = 0,
     spawn_timer: f32 = 0.0,
+    particle_timer: f32 = 0.0,
     shoot_cooldown: f32 = 0.0,
     keys: [256]bool = [_]bool{false} ** 256,
     initialized: bool = false,
@@ -78,6 +109,10 @@ const KEY_D = 68;
 const KEY_W = 87;
 const KEY_S = 83;
 
+// Difficulty chosen by the host (0 = easy, 1 = normal, 2 = hard); survives init()
+var difficulty: u8 = 1;
+const DIFFICULTY_SPAWN_SCALE = [_]f32{ 1.5, 1.0, 0.6 };
+
 // Random number generator
 var rng_state: u64 = 12345;
 
@@ -97,8 +132,11 @@ export fn init() void {
     game_state.player.pos.y = CANVAS_HEIGHT - 100.0;
     game_state.player.vel.x = 0.0;
     game_state.player.vel.y = 0.0;
+    game_state.player.prev_pos = game_state.player.pos;
+    game_state.player.health = PLAYER_MAX_HEALTH;
     game_state.score = 0;
     game_state.spawn_timer = 0.0;
+    game_state.particle_timer = 0.0;
 
     // Clear all entities
     for (&game_state.enemies) |*enemy| {
@@ -124,11 +162,17 @@ export fn init() void {
     game_state.initialized = true;
 }
 
+// Advance the simulation (called with a fixed timestep by the host)
 export fn update(delta_time: f32) void {
     if (!game_state.initialized) {
         init();
     }
 
+    save_previous_positions();
+
+    // Everything stops once the player is dead
+    if (game_state.player.health <= 0) return;
+
     // Update player velocity based on input
     game_state.player.vel.x = 0.0;
     game_state.player.vel.y = 0.0;
@@ -174,9 +218,16 @@ export fn update(delta_time: f32) void {
         game_state.player.pos.y = CANVAS_HEIGHT - PLAYER_SIZE / 2.0;
     }
 
+    // Bullet trails and engine exhaust, at a steady rate whatever the timestep
+    game_state.particle_timer += delta_time;
+    if (game_state.particle_timer >= PARTICLE_EMIT_INTERVAL) {
+        game_state.particle_timer -= PARTICLE_EMIT_INTERVAL;
+        emit_trails();
+    }
+
     // Update spawn timer
     game_state.spawn_timer += delta_time;
-    if (game_state.spawn_timer >= SPAWN_INTERVAL) {
+    if (game_state.spawn_timer >= SPAWN_INTERVAL * DIFFICULTY_SPAWN_SCALE[difficulty]) {
         game_state.spawn_timer = 0.0;
         spawn_entity();
     }
@@ -203,6 +254,7 @@ export fn update(delta_time: f32) void {
             )) {
                 enemy.active = false;
                 game_state.score -= 5; // Penalty for collision
+                damage_player(ENEMY_DAMAGE);
             }
         }
     }
@@ -231,6 +283,7 @@ export fn update(delta_time: f32) void {
             )) {
                 obstacle.active = false;
                 game_state.score -= 10; // Penalty for collision
+                damage_player(OBSTACLE_DAMAGE);
             }
         }
     }
@@ -264,6 +317,8 @@ export fn update(delta_time: f32) void {
                         enemy.active = false;
                         bullet.active = false;
                         game_state.score += 10; // Points for killing enemy
+                        game_event(EVENT_ENEMY_DESTROYED, enemy.pos.x, enemy.pos.y, 10);
+                        gpu_spawn_particles(enemy.pos.x, enemy.pos.y, 40, EXPLOSION_COLOR, 180.0);
                         break;
                     }
                 }
@@ -272,7 +327,8 @@ export fn update(delta_time: f32) void {
     }
 }
 
-export fn render() void {
+// alpha is how far the host is between the last two updates (0..1)
+export fn render(alpha: f32) void {
     gpu_begin_frame();
 
     // Draw hallway walls
@@ -298,9 +354,10 @@ export fn render() void {
     // Draw obstacles (rectangles - red)
     for (game_state.obstacles) |obstacle| {
         if (obstacle.active) {
+            const pos = lerp_vec(obstacle.prev_pos, obstacle.pos, alpha);
             gpu_draw_rect(
-                obstacle.pos.x,
-                obstacle.pos.y,
+                pos.x,
+                pos.y,
                 OBSTACLE_WIDTH,
                 OBSTACLE_HEIGHT,
                 0.8,
@@ -314,12 +371,13 @@ export fn render() void {
     // Draw enemies (triangles - orange/yellow)
     for (game_state.enemies) |enemy| {
         if (enemy.active) {
+            const pos = lerp_vec(enemy.prev_pos, enemy.pos, alpha);
             const half_size = ENEMY_SIZE / 2.0;
             // Draw triangle pointing down
             gpu_draw_triangle(
-                enemy.pos.x, enemy.pos.y - half_size, // Top
-                enemy.pos.x - half_size, enemy.pos.y + half_size, // Bottom left
-                enemy.pos.x + half_size, enemy.pos.y + half_size, // Bottom right
+                pos.x, pos.y - half_size, // Top
+                pos.x - half_size, pos.y + half_size, // Bottom left
+                pos.x + half_size, pos.y + half_size, // Bottom right
                 0.9,
                 0.6,
                 0.1,
@@ -331,9 +389,10 @@ export fn render() void {
     // Draw bullets (yellow rectangles)
     for (game_state.bullets) |bullet| {
         if (bullet.active) {
+            const pos = lerp_vec(bullet.prev_pos, bullet.pos, alpha);
             gpu_draw_rect(
-                bullet.pos.x,
-                bullet.pos.y,
+                pos.x,
+                pos.y,
                 BULLET_WIDTH,
                 BULLET_HEIGHT,
                 1.0,
@@ -344,25 +403,39 @@ export fn render() void {
         }
     }
 
-    // Draw player (triangle - cyan/blue)
-    const px = game_state.player.pos.x;
-    const py = game_state.player.pos.y;
-    const half_size = PLAYER_SIZE / 2.0;
+    // Draw player (triangle - cyan/blue) while alive
+    if (game_state.player.health > 0) {
+        const player_pos = lerp_vec(game_state.player.prev_pos, game_state.player.pos, alpha);
+        const px = player_pos.x;
+        const py = player_pos.y;
+        const half_size = PLAYER_SIZE / 2.0;
+
+        // Draw triangle pointing up
+        gpu_draw_triangle(
+            px, py - half_size, // Top
+            px - half_size, py + half_size, // Bottom left
+            px + half_size, py + half_size, // Bottom right
+            0.2,
+            0.7,
+            1.0,
+            1.0,
+        );
+    }
 
-    // Draw triangle pointing up
-    gpu_draw_triangle(
-        px, py - half_size, // Top
-        px - half_size, py + half_size, // Bottom left
-        px + half_size, py + half_size, // Bottom right
-        0.2,
-        0.7,
-        1.0,
-        1.0,
-    );
+    // Health bar (top left)
+    const health: f32 = @floatFromInt(@max(game_state.player.health, 0));
+    gpu_draw_rect(10.0, 10.0, 154.0, 14.0, 1.0, 1.0, 1.0, 1.0);
+    gpu_draw_rect(12.0, 12.0, 150.0, 10.0, 0.2, 0.2, 0.2, 1.0);
+    gpu_draw_rect(12.0, 12.0, 150.0 * health / PLAYER_MAX_HEALTH, 10.0, 0.2, 0.9, 0.3, 1.0);
 
     gpu_end_frame();
 }
 
+// Set the difficulty for the current and following games
+export fn set_difficulty(level: u8) void {
+    difficulty = @min(level, DIFFICULTY_SPAWN_SCALE.len - 1);
+}
+
 export fn key_down(key: u8) void {
     if (key < 256) {
         game_state.keys[key] = true;
@@ -379,14 +452,109 @@ export fn get_score() i32 {
     return game_state.score;
 }
 
+export fn get_player_health() i32 {
+    return game_state.player.health;
+}
+
+export fn is_alive() bool {
+    return game_state.player.health > 0;
+}
+
+// Get number of active enemies and obstacles
+export fn get_entity_count() i32 {
+    var count: i32 = 0;
+    for (game_state.enemies) |enemy| {
+        if (enemy.active) count += 1;
+    }
+    for (game_state.obstacles) |obstacle| {
+        if (obstacle.active) count += 1;
+    }
+    return count;
+}
+
+// Get number of active bullets
+export fn get_bullet_count() i32 {
+    var count: i32 = 0;
+    for (game_state.bullets) |bullet| {
+        if (bullet.active) count += 1;
+    }
+    return count;
+}
+
+// Benchmark support (see shared/bench.js): reseed the RNG after init()
+export fn set_seed(seed: u32) void {
+    rng_state = if (seed == 0) 12345 else seed;
+}
+
+// Benchmark support: activate enemies, then obstacles, until `count` are
+// active (at most MAX_ENEMIES + MAX_OBSTACLES), scattered over the upper
+// half of the hallway. Returns the number active.
+export fn fill_entities(count: u32) u32 {
+    const hallway_left = (CANVAS_WIDTH - HALLWAY_WIDTH) / 2.0;
+
+    var active: u32 = 0;
+    for (game_state.enemies) |enemy| {
+        if (enemy.active) active += 1;
+    }
+    for (game_state.obstacles) |obstacle| {
+        if (obstacle.active) active += 1;
+    }
+
+    for (&game_state.enemies) |*enemy| {
+        if (active >= count) break;
+        if (enemy.active) continue;
+        enemy.active = true;
+        enemy.pos.x = hallway_left + random() * (HALLWAY_WIDTH - ENEMY_SIZE);
+        enemy.pos.y = random() * CANVAS_HEIGHT / 2.0;
+        enemy.prev_pos = enemy.pos;
+        active += 1;
+    }
+    for (&game_state.obstacles) |*obstacle| {
+        if (active >= count) break;
+        if (obstacle.active) continue;
+        obstacle.active = true;
+        obstacle.pos.x = hallway_left + random() * (HALLWAY_WIDTH - OBSTACLE_WIDTH);
+        obstacle.pos.y = random() * CANVAS_HEIGHT / 2.0;
+        obstacle.prev_pos = obstacle.pos;
+        active += 1;
+    }
+    return active;
+}
+
 // Helper functions
 
+fn damage_player(amount: i32) void {
+    if (game_state.player.health <= 0) return;
+
+    const pos = game_state.player.pos;
+    game_state.player.health -= amount;
+    game_event(EVENT_PLAYER_HIT, pos.x, pos.y, amount);
+    gpu_spawn_particles(pos.x, pos.y, 24, HIT_COLOR, 140.0);
+    if (game_state.player.health <= 0) {
+        game_event(EVENT_GAME_OVER, pos.x, pos.y, game_state.score);
+        gpu_spawn_particles(pos.x, pos.y, 120, DEATH_COLOR, 260.0);
+    }
+}
+
+// A puff of exhaust under the player and a trail particle behind each bullet
+fn emit_trails() void {
+    const player = game_state.player;
+    gpu_spawn_particles(player.pos.x, player.pos.y + PLAYER_SIZE / 2.0, 2, EXHAUST_COLOR, 40.0);
+
+    for (game_state.bullets) |bullet| {
+        if (!bullet.active) continue;
+        gpu_spawn_particles(bullet.pos.x + BULLET_WIDTH / 2.0, bullet.pos.y + BULLET_HEIGHT, 1, TRAIL_COLOR, 15.0);
+    }
+}
+
 fn spawn_bullet() void {
     for (&game_state.bullets) |*bullet| {
         if (!bullet.active) {
             bullet.active = true;
             bullet.pos.x = game_state.player.pos.x - BULLET_WIDTH / 2.0;
             bullet.pos.y = game_state.player.pos.y - PLAYER_SIZE / 2.0 - BULLET_HEIGHT;
+            bullet.prev_pos = bullet.pos;
+            game_event(EVENT_SHOT, bullet.pos.x, bullet.pos.y, 0);
             break;
         }
     }
@@ -403,6 +571,7 @@ fn spawn_entity() void {
                 enemy.active = true;
                 enemy.pos.x = hallway_left + random() * (HALLWAY_WIDTH - ENEMY_SIZE);
                 enemy.pos.y = -ENEMY_SIZE;
+                enemy.prev_pos = enemy.pos;
                 break;
             }
         }
@@ -413,12 +582,34 @@ fn spawn_entity() void {
                 obstacle.active = true;
                 obstacle.pos.x = hallway_left + random() * (HALLWAY_WIDTH - OBSTACLE_WIDTH);
                 obstacle.pos.y = -OBSTACLE_HEIGHT;
+                obstacle.prev_pos = obstacle.pos;
                 break;
             }
         }
     }
 }
 
+// Remember positions before a step so render() can interpolate
+fn save_previous_positions() void {
+    game_state.player.prev_pos = game_state.player.pos;
+    for (&game_state.enemies) |*enemy| {
+        enemy.prev_pos = enemy.pos;
+    }
+    for (&game_state.obstacles) |*obstacle| {
+        obstacle.prev_pos = obstacle.pos;
+    }
+    for (&game_state.bullets) |*bullet| {
+        bullet.prev_pos = bullet.pos;
+    }
+}
+
+fn lerp_vec(prev: Vec2, current: Vec2, alpha: f32) Vec2 {
+    return .{
+        .x = prev.x + (current.x - prev.x) * alpha,
+        .y = prev.y + (current.y - prev.y) * alpha,
+    };
+}
+
 fn check_collision_circle(x1: f32, y1: f32, r1: f32, x2: f32, y2: f32, r2: f32) bool {
     const dx = x1 - x2;
     const dy = y1 - y2;
@@ -1,15 +1,16 @@
 // Uniform bindings
 @group(0) @binding(0) var<uniform> resolution: vec2<f32>;
-@group(0) @binding(1) var<uniform> color: vec4<f32>;
 
 // Vertex input structure
 struct VertexInput {
     @location(0) position: vec2<f32>,
+    @location(1) color: vec4<f32>,
 }
 
 // Vertex output structure
 struct VertexOutput {
     @builtin(position) position: vec4<f32>,
+    @location(0) color: vec4<f32>,
 }
 
 // Vertex shader for 2D positioning
@@ -23,11 +24,14 @@ fn vertex_main(input: VertexInput) -> VertexOutput {
 
     output.position = vec4<f32>(normalized_x, normalized_y, 0.0, 1.0);
 
+    // Each primitive carries its own color per vertex
+    output.color = input.color;
+
     return output;
 }
 
 // Fragment shader for solid colors
 @fragment
 fn fragment_main(input: VertexOutput) -> @location(0) vec4<f32> {
-    return color;
+    return input.color;
 }
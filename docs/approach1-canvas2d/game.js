@@ -1,144 +1,156 @@
 // Canvas2D WASM Shooter Game
-// This file bridges the WASM game logic with Canvas2D rendering
+// Renderer for the shared host: reads game state from WASM and draws it with Canvas2D.
+// Sprites come from the shared atlas; if it can't be loaded everything is drawn
+// as flat shapes instead. The 800x600 playfield is scaled into the letterboxed
+// rectangle of a canvas sized in device pixels (see shared/viewport.js).
 
-const canvas = document.getElementById('gameCanvas');
-const ctx = canvas.getContext('2d');
-const statusElement = document.getElementById('status');
+import { drawFrameSlices, loadAtlas } from '../shared/atlas.js';
+import { OVERLAY_TINT } from '../shared/overlay.js';
+import { CanvasViewport, PLAYFIELD_HEIGHT, PLAYFIELD_WIDTH } from '../shared/viewport.js';
 
 // Game constants
-const GAME_WIDTH = 800;
-const GAME_HEIGHT = 600;
+const GAME_WIDTH = PLAYFIELD_WIDTH;
+const GAME_HEIGHT = PLAYFIELD_HEIGHT;
 const PLAYER_SIZE = 20;
 
-// WASM instance
-let wasmInstance = null;
-let wasmMemory = null;
-
-// Game state
-let lastFrameTime = performance.now();
-let isRunning = false;
-
-// Update status message
-function updateStatus(message, isError = false) {
-    statusElement.textContent = message;
-    if (isError) {
-        statusElement.classList.add('error');
-    } else {
-        statusElement.classList.remove('error');
-    }
-}
+// Atlas animation for each entity type (0 = enemy, 1 = obstacle)
+const ENTITY_ANIMATIONS = ['enemy', 'obstacle'];
 
-// Load and initialize WASM module
-async function loadWasm() {
-    try {
-        updateStatus('Loading WASM module...');
+// Context methods that draw, counted for the performance overlay
+const DRAW_METHODS = ['fillRect', 'strokeRect', 'fill', 'stroke', 'fillText', 'drawImage'];
 
-        const wasmPath = 'game-canvas2d.wasm';
-        const response = await fetch(wasmPath);
+// Layout of the region returned by pack_state() (see game.zig). It starts with
+// HEADER_WORDS u32 words, followed by one f32 array per field: entity arrays
+// are entity_capacity long, bullet arrays bullet_capacity long.
+const STATE_LAYOUT_VERSION = 1;
+const HEADER_WORDS = 5;
+const HEADER = { version: 0, entityCapacity: 1, bulletCapacity: 2, entityCount: 3, bulletCount: 4 };
+const ENTITY_FIELDS = ['x', 'y', 'prevX', 'prevY', 'width', 'height', 'type'];
+const BULLET_FIELDS = ['x', 'y', 'prevX', 'prevY', 'width', 'height'];
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch WASM: ${response.status} ${response.statusText}`);
-        }
+// Interpolate between the previous and current simulation value
+function lerp(previous, current, alpha) {
+    return previous + (current - previous) * alpha;
+}
 
-        const wasmBytes = await response.arrayBuffer();
+// Reads the packed entity and bullet arrays straight out of WASM memory.
+// The views are only rebuilt when the region moves or memory grows (which
+// detaches the old ArrayBuffer), so a frame costs one pack_state() call.
+class PackedStateReader {
+    constructor(memory) {
+        this.memory = memory;
+        this.pointer = -1;
+        this.buffer = null;
+        this.words = null;  // Uint32Array over the header
+        this.floats = null; // Float32Array over the whole region
+        this.entity = {};   // field -> offset into floats
+        this.bullet = {};
+    }
 
-        // Create WASM instance with minimal imports
-        const importObject = {
-            env: {
-                // Zig may expect these memory management functions
-                // but for simple games they might not be needed
-            }
-        };
+    // Refresh the region and return whether it has a layout we understand
+    update(exports) {
+        const pointer = exports.pack_state();
+        if (pointer === this.pointer && this.memory.buffer === this.buffer) return true;
 
-        updateStatus('Compiling WASM module...');
-        const wasmModule = await WebAssembly.compile(wasmBytes);
+        const words = new Uint32Array(this.memory.buffer, pointer, HEADER_WORDS);
+        if (words[HEADER.version] !== STATE_LAYOUT_VERSION) {
+            console.warn(`Unsupported state layout version ${words[HEADER.version]}`);
+            return false;
+        }
 
-        updateStatus('Instantiating WASM module...');
-        wasmInstance = await WebAssembly.instantiate(wasmModule, importObject);
-        wasmMemory = wasmInstance.exports.memory;
+        const entityCapacity = words[HEADER.entityCapacity];
+        const bulletCapacity = words[HEADER.bulletCapacity];
+        const length = HEADER_WORDS + ENTITY_FIELDS.length * entityCapacity + BULLET_FIELDS.length * bulletCapacity;
 
-        // Initialize the game
-        updateStatus('Initializing game...');
-        wasmInstance.exports.init();
+        let offset = HEADER_WORDS;
+        for (const field of ENTITY_FIELDS) {
+            this.entity[field] = offset;
+            offset += entityCapacity;
+        }
+        for (const field of BULLET_FIELDS) {
+            this.bullet[field] = offset;
+            offset += bulletCapacity;
+        }
 
-        updateStatus('Game ready! Use WASD to move.');
+        this.pointer = pointer;
+        this.buffer = this.memory.buffer;
+        this.words = words;
+        this.floats = new Float32Array(this.buffer, pointer, length);
+        return true;
+    }
 
-        // Start the game loop
-        isRunning = true;
-        requestAnimationFrame(gameLoop);
+    get entityCount() {
+        return this.words[HEADER.entityCount];
+    }
 
-    } catch (error) {
-        console.error('Error loading WASM:', error);
-        updateStatus(`Error: ${error.message}`, true);
+    get bulletCount() {
+        return this.words[HEADER.bulletCount];
     }
 }
 
-// Draw a triangle pointing upward
-function drawTriangle(x, y, size, color) {
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    // Top point
-    ctx.moveTo(x + size / 2, y);
-    // Bottom right
-    ctx.lineTo(x + size, y + size);
-    // Bottom left
-    ctx.lineTo(x, y + size);
-    ctx.closePath();
-    ctx.fill();
-}
+// Create the Canvas2D renderer for the shared host
+export function createCanvas2DRenderer(canvas) {
+    const ctx = canvas.getContext('2d');
+    const viewport = new CanvasViewport(canvas);
+    let wasmMemory = null;
+
+    // Draw calls made by the last render(), not counting the overlay
+    let drawCalls = 0;
+    for (const method of DRAW_METHODS) {
+        const draw = ctx[method].bind(ctx);
+        ctx[method] = (...args) => {
+            drawCalls++;
+            return draw(...args);
+        };
+    }
 
-// Draw a rectangle
-function drawRect(x, y, width, height, color) {
-    ctx.fillStyle = color;
-    ctx.fillRect(x, y, width, height);
-}
+    // Whether the module exports previous positions (older builds don't)
+    let canInterpolate = false;
+
+    // Bulk reader for modules exporting pack_state(), else null
+    let packedState = null;
+
+    // Loaded SpriteAtlas, or null to draw flat shapes
+    let atlas = null;
+    // Seconds since the page loaded, for sprite animations
+    let animationTime = 0;
+
+    // Draw the current frame of an atlas animation stretched over a box.
+    // `phase` staggers the animation between sprites of the same kind.
+    function drawSprite(animation, x, y, width, height, phase = 0) {
+        const frame = atlas.frame(animation, animationTime, phase);
+        drawFrameSlices(
+            (sx, sy, sw, sh, dx, dy, dw, dh) => ctx.drawImage(atlas.image, sx, sy, sw, sh, dx, dy, dw, dh),
+            frame, x, y, width, height,
+        );
+    }
+
+    // Draw a triangle pointing upward
+    function drawTriangle(x, y, size, color) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        // Top point
+        ctx.moveTo(x + size / 2, y);
+        // Bottom right
+        ctx.lineTo(x + size, y + size);
+        // Bottom left
+        ctx.lineTo(x, y + size);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Draw a rectangle
+    function drawRect(x, y, width, height, color) {
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, width, height);
+    }
 
-// Render the game state
-function render() {
-    if (!wasmInstance) return;
-
-    // Clear canvas with dark background
-    ctx.fillStyle = '#0a0a0a';
-    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-
-    // Draw hallway walls (dark gray on sides)
-    const wallWidth = 40;
-    ctx.fillStyle = '#1a1a1a';
-    ctx.fillRect(0, 0, wallWidth, GAME_HEIGHT); // Left wall
-    ctx.fillRect(GAME_WIDTH - wallWidth, 0, wallWidth, GAME_HEIGHT); // Right wall
-
-    // Draw subtle hallway effect with darker edges
-    const gradient = ctx.createLinearGradient(0, 0, GAME_WIDTH, 0);
-    gradient.addColorStop(0, 'rgba(0, 0, 0, 0.5)');
-    gradient.addColorStop(0.1, 'rgba(0, 0, 0, 0)');
-    gradient.addColorStop(0.9, 'rgba(0, 0, 0, 0)');
-    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
-
-    // Get player data
-    const playerX = wasmInstance.exports.get_player_x();
-    const playerY = wasmInstance.exports.get_player_y();
-    const playerHealth = wasmInstance.exports.get_player_health();
-    const score = wasmInstance.exports.get_score();
-
-    // Draw entities (enemies and obstacles)
-    const entityCount = wasmInstance.exports.get_entity_count();
-
-    for (let i = 0; i < entityCount; i++) {
-        const dataPtr = wasmInstance.exports.get_entity_data(i);
-
-        // Read entity data from WASM memory
-        // The buffer contains: [x, y, width, height, type]
-        const dataView = new Float32Array(wasmMemory.buffer, dataPtr, 5);
-        const ex = dataView[0];
-        const ey = dataView[1];
-        const ew = dataView[2];
-        const eh = dataView[3];
-        const type = dataView[4];
-
-        // Draw based on entity type
-        if (type === 0) {
+    // Draw an enemy (type 0) or obstacle (type 1)
+    function drawEntity(ex, ey, ew, eh, type, phase) {
+        if (atlas) {
+            const animation = ENTITY_ANIMATIONS[type];
+            if (animation) drawSprite(animation, ex, ey, ew, eh, phase);
+        } else if (type === 0) {
             // Enemy - red square
             drawRect(ex, ey, ew, eh, '#ff3333');
             // Add a darker border for enemies
@@ -155,140 +167,244 @@ function render() {
         }
     }
 
-    // Draw bullets (yellow rectangles)
-    const bulletCount = wasmInstance.exports.get_bullet_count();
-    for (let i = 0; i < bulletCount; i++) {
-        const dataPtr = wasmInstance.exports.get_bullet_data(i);
-        const dataView = new Float32Array(wasmMemory.buffer, dataPtr, 4);
-        const bx = dataView[0];
-        const by = dataView[1];
-        const bw = dataView[2];
-        const bh = dataView[3];
-
-        // Draw bullet with glow effect
+    // Draw a bullet (yellow) with a glow effect
+    function drawBullet(bx, by, bw, bh, phase) {
         ctx.fillStyle = '#ffff00';
         ctx.shadowColor = '#ffff00';
         ctx.shadowBlur = 5;
-        ctx.fillRect(bx, by, bw, bh);
+        if (atlas) {
+            drawSprite('bullet', bx, by, bw, bh, phase);
+        } else {
+            ctx.fillRect(bx, by, bw, bh);
+        }
         ctx.shadowBlur = 0;
     }
 
-    // Draw player as green triangle
-    if (playerHealth > 0) {
-        drawTriangle(playerX, playerY, PLAYER_SIZE, '#33ff33');
+    // Draw the player ship: an atlas sprite or a green triangle
+    function drawPlayer(x, y) {
+        if (atlas) {
+            drawSprite('player', x, y, PLAYER_SIZE, PLAYER_SIZE);
+            return;
+        }
+
+        drawTriangle(x, y, PLAYER_SIZE, '#33ff33');
         // Add a darker outline
         ctx.strokeStyle = '#00aa00';
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.moveTo(playerX + PLAYER_SIZE / 2, playerY);
-        ctx.lineTo(playerX + PLAYER_SIZE, playerY + PLAYER_SIZE);
-        ctx.lineTo(playerX, playerY + PLAYER_SIZE);
+        ctx.moveTo(x + PLAYER_SIZE / 2, y);
+        ctx.lineTo(x + PLAYER_SIZE, y + PLAYER_SIZE);
+        ctx.lineTo(x, y + PLAYER_SIZE);
         ctx.closePath();
         ctx.stroke();
-    } else {
-        // Game over
-        ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
-        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+    }
 
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 48px Arial';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText('GAME OVER', GAME_WIDTH / 2, GAME_HEIGHT / 2 - 30);
+    // Draw entities and bullets from the packed struct-of-arrays region
+    function drawPackedState(alpha) {
+        const { floats, entity, bullet } = packedState;
+
+        const entityCount = packedState.entityCount;
+        for (let i = 0; i < entityCount; i++) {
+            drawEntity(
+                lerp(floats[entity.prevX + i], floats[entity.x + i], alpha),
+                lerp(floats[entity.prevY + i], floats[entity.y + i], alpha),
+                floats[entity.width + i],
+                floats[entity.height + i],
+                floats[entity.type + i],
+                i,
+            );
+        }
 
-        ctx.font = '24px Arial';
-        ctx.fillText(`Final Score: ${score}`, GAME_WIDTH / 2, GAME_HEIGHT / 2 + 20);
-        ctx.fillText('Refresh to play again', GAME_WIDTH / 2, GAME_HEIGHT / 2 + 60);
+        const bulletCount = packedState.bulletCount;
+        for (let i = 0; i < bulletCount; i++) {
+            drawBullet(
+                lerp(floats[bullet.prevX + i], floats[bullet.x + i], alpha),
+                lerp(floats[bullet.prevY + i], floats[bullet.y + i], alpha),
+                floats[bullet.width + i],
+                floats[bullet.height + i],
+                i,
+            );
+        }
     }
 
-    // Draw HUD (Health and Score)
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(10, 10, 200, 80);
-
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 20px Arial';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'top';
-    ctx.fillText(`Health: ${playerHealth}`, 20, 20);
-    ctx.fillText(`Score: ${score}`, 20, 50);
-
-    // Health bar
-    const healthBarWidth = 180;
-    const healthBarHeight = 10;
-    const healthBarX = 20;
-    const healthBarY = 75;
-
-    // Background
-    ctx.fillStyle = '#333333';
-    ctx.fillRect(healthBarX, healthBarY, healthBarWidth, healthBarHeight);
-
-    // Health fill
-    const healthPercent = Math.max(0, playerHealth) / 100;
-    const healthColor = playerHealth > 50 ? '#33ff33' : playerHealth > 25 ? '#ffaa33' : '#ff3333';
-    ctx.fillStyle = healthColor;
-    ctx.fillRect(healthBarX, healthBarY, healthBarWidth * healthPercent, healthBarHeight);
-
-    // Border
-    ctx.strokeStyle = '#ffffff';
-    ctx.lineWidth = 1;
-    ctx.strokeRect(healthBarX, healthBarY, healthBarWidth, healthBarHeight);
-}
-
-// Main game loop
-function gameLoop(currentTime) {
-    if (!isRunning) return;
+    // Draw entities and bullets through the per-item getters (older builds)
+    function drawEntitiesOneByOne(exports, alpha) {
+        const entityCount = exports.get_entity_count();
+        for (let i = 0; i < entityCount; i++) {
+            const dataPtr = exports.get_entity_data(i);
+
+            // Read entity data from WASM memory
+            // The buffer contains: [x, y, width, height, type, prev_x, prev_y]
+            const dataView = new Float32Array(wasmMemory.buffer, dataPtr, canInterpolate ? 7 : 5);
+            const ex = canInterpolate ? lerp(dataView[5], dataView[0], alpha) : dataView[0];
+            const ey = canInterpolate ? lerp(dataView[6], dataView[1], alpha) : dataView[1];
+            drawEntity(ex, ey, dataView[2], dataView[3], dataView[4], i);
+        }
 
-    // Calculate delta time in seconds
-    const deltaTime = (currentTime - lastFrameTime) / 1000.0;
-    lastFrameTime = currentTime;
+        const bulletCount = exports.get_bullet_count();
+        for (let i = 0; i < bulletCount; i++) {
+            const dataPtr = exports.get_bullet_data(i);
+            // The buffer contains: [x, y, width, height, prev_x, prev_y]
+            const dataView = new Float32Array(wasmMemory.buffer, dataPtr, canInterpolate ? 6 : 4);
+            const bx = canInterpolate ? lerp(dataView[4], dataView[0], alpha) : dataView[0];
+            const by = canInterpolate ? lerp(dataView[5], dataView[1], alpha) : dataView[1];
+            drawBullet(bx, by, dataView[2], dataView[3], i);
+        }
+    }
 
-    // Cap delta time to prevent huge jumps
-    const cappedDeltaTime = Math.min(deltaTime, 0.1);
+    // Dim the screen and show a message (pause, game over) on top of the game
+    function drawOverlay({ title, lines = [], tint = OVERLAY_TINT }) {
+        const [r, g, b, a] = tint;
+        ctx.fillStyle = `rgba(${r * 255}, ${g * 255}, ${b * 255}, ${a})`;
+        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
 
-    // Update game logic
-    if (wasmInstance) {
-        wasmInstance.exports.update(cappedDeltaTime);
-    }
+        // Center the title and lines vertically as one block
+        const lineHeight = 32;
+        let y = (GAME_HEIGHT - (48 + 24 + lines.length * lineHeight)) / 2;
 
-    // Render the frame
-    render();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 48px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(title, GAME_WIDTH / 2, y);
+        y += 48 + 24;
 
-    // Continue the loop
-    requestAnimationFrame(gameLoop);
-}
+        ctx.font = '24px Arial';
+        for (const line of lines) {
+            ctx.fillText(line, GAME_WIDTH / 2, y);
+            y += lineHeight;
+        }
+    }
 
-// Keyboard input handling
-document.addEventListener('keydown', (event) => {
-    if (!wasmInstance) return;
+    // Render the game state, interpolated `alpha` of the way into the current step
+    function render(exports, alpha, overlay) {
+        drawCalls = 0;
+        animationTime = performance.now() / 1000;
+        // Keep the pixel art crisp when sprites are scaled up
+        ctx.imageSmoothingEnabled = false;
+
+        // Black letterbox bars, then draw in playfield coordinates, clipped to
+        // the playfield so entities entering from the edges stay off the bars
+        const rect = viewport.rect;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.save();
+        ctx.setTransform(rect.width / GAME_WIDTH, 0, 0, rect.height / GAME_HEIGHT, rect.x, rect.y);
+        ctx.beginPath();
+        ctx.rect(0, 0, GAME_WIDTH, GAME_HEIGHT);
+        ctx.clip();
 
-    // Get the key code
-    const keyCode = event.keyCode || event.which;
+        // Clear canvas with dark background
+        ctx.fillStyle = '#0a0a0a';
+        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
 
-    // Call WASM key_down function
-    wasmInstance.exports.key_down(keyCode);
+        // Draw hallway walls (dark gray on sides)
+        const wallWidth = 40;
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, wallWidth, GAME_HEIGHT); // Left wall
+        ctx.fillRect(GAME_WIDTH - wallWidth, 0, wallWidth, GAME_HEIGHT); // Right wall
+
+        // Draw subtle hallway effect with darker edges
+        const gradient = ctx.createLinearGradient(0, 0, GAME_WIDTH, 0);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0.5)');
+        gradient.addColorStop(0.1, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(0.9, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, GAME_WIDTH, GAME_HEIGHT);
 
-    // Prevent default behavior for game keys (WASD)
-    if ([87, 65, 83, 68].includes(keyCode)) {
-        event.preventDefault();
-    }
-});
+        // Get player data
+        let playerX = exports.get_player_x();
+        let playerY = exports.get_player_y();
+        if (canInterpolate) {
+            playerX = lerp(exports.get_player_prev_x(), playerX, alpha);
+            playerY = lerp(exports.get_player_prev_y(), playerY, alpha);
+        }
+        const playerHealth = exports.get_player_health();
+        const score = exports.get_score();
 
-document.addEventListener('keyup', (event) => {
-    if (!wasmInstance) return;
+        // Draw entities (enemies and obstacles) and bullets
+        if (packedState && !packedState.update(exports)) {
+            // Unknown layout: use the per-item getters from now on
+            packedState = null;
+        }
+        if (packedState) {
+            drawPackedState(alpha);
+        } else {
+            drawEntitiesOneByOne(exports, alpha);
+        }
 
-    // Get the key code
-    const keyCode = event.keyCode || event.which;
+        // Draw the player (the host shows the game-over screen)
+        if (playerHealth > 0) {
+            drawPlayer(playerX, playerY);
+        }
 
-    // Call WASM key_up function
-    wasmInstance.exports.key_up(keyCode);
+        // Draw HUD (Health and Score)
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(10, 10, 200, 80);
 
-    // Prevent default behavior for game keys (WASD)
-    if ([87, 65, 83, 68].includes(keyCode)) {
-        event.preventDefault();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`Health: ${playerHealth}`, 20, 20);
+        ctx.fillText(`Score: ${score}`, 20, 50);
+
+        // Health bar
+        const healthBarWidth = 180;
+        const healthBarHeight = 10;
+        const healthBarX = 20;
+        const healthBarY = 75;
+
+        // Background
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(healthBarX, healthBarY, healthBarWidth, healthBarHeight);
+
+        // Health fill
+        const healthPercent = Math.max(0, playerHealth) / 100;
+        const healthColor = playerHealth > 50 ? '#33ff33' : playerHealth > 25 ? '#ffaa33' : '#ff3333';
+        ctx.fillStyle = healthColor;
+        ctx.fillRect(healthBarX, healthBarY, healthBarWidth * healthPercent, healthBarHeight);
+
+        // Border
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(healthBarX, healthBarY, healthBarWidth, healthBarHeight);
+
+        // Overlay text isn't part of the game's draw calls
+        if (overlay) {
+            const gameDrawCalls = drawCalls;
+            drawOverlay(overlay);
+            drawCalls = gameDrawCalls;
+        }
+        ctx.restore();
     }
-});
 
-// Start loading the WASM module when the page loads
-window.addEventListener('load', () => {
-    loadWasm();
-});
+    return {
+        name: 'Canvas2D',
+        canvas,
+        wasmUrl: new URL('game-canvas2d.wasm', import.meta.url),
+        imports: {},
+        async init() {
+            viewport.observe();
+            try {
+                atlas = await loadAtlas();
+            } catch (error) {
+                console.warn('Sprite atlas unavailable, drawing flat shapes:', error);
+                atlas = null;
+            }
+        },
+        attach(instance) {
+            wasmMemory = instance.exports.memory;
+            canInterpolate = typeof instance.exports.get_player_prev_x === 'function';
+            packedState = typeof instance.exports.pack_state === 'function'
+                ? new PackedStateReader(wasmMemory)
+                : null;
+        },
+        get drawCalls() {
+            return drawCalls;
+        },
+        render,
+    };
+}
@@ -1,10 +1,16 @@
 // Fragment shader for 2D rendering
-// Supports solid colors via uniform
+// Samples the bound texture (a white pixel for flat colors) and multiplies it
+// by the per-vertex color. Output is premultiplied alpha.
 
 precision mediump float;
 
-uniform vec4 u_color;
+uniform sampler2D u_texture;
+
+varying vec2 v_texcoord;
+varying vec4 v_color;
 
 void main() {
-    gl_FragColor = u_color;
+    // Textures are uploaded premultiplied; premultiply the tint to match
+    vec4 tint = vec4(v_color.rgb * v_color.a, v_color.a);
+    gl_FragColor = texture2D(u_texture, v_texcoord) * tint;
 }
@@ -0,0 +1,11 @@
+// Vertex shader for post-processing passes
+// Draws one triangle covering the screen and passes texture coordinates on
+
+attribute vec2 a_position;
+
+varying vec2 v_uv;
+
+void main() {
+    v_uv = a_position * 0.5 + 0.5;
+    gl_Position = vec4(a_position, 0, 1);
+}
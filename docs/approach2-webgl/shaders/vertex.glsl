@@ -1,10 +1,16 @@
 // Vertex shader for 2D rendering
-// Transforms 2D positions to clip space
+// Transforms 2D positions to clip space and passes texture coordinates and
+// per-vertex color through
 
 attribute vec2 a_position;
+attribute vec2 a_texcoord;
+attribute vec4 a_color;
 
 uniform vec2 u_resolution;
 
+varying vec2 v_texcoord;
+varying vec4 v_color;
+
 void main() {
     // Convert the position from pixels to 0.0 to 1.0
     vec2 zeroToOne = a_position / u_resolution;
@@ -17,4 +23,7 @@ void main() {
 
     // Flip Y axis so that 0 is at the top
     gl_Position = vec4(clipSpace * vec2(1, -1), 0, 1);
+
+    v_texcoord = a_texcoord;
+    v_color = a_color;
 }
@@ -0,0 +1,89 @@
+// GPU particle system
+// Particles live in one storage buffer. A compute pass moves and ages them every
+// frame; the render pass draws each one as a small quad that shrinks and fades
+// out over its lifetime. Dead particles (life <= 0) are skipped by both.
+
+struct Particle {
+    position: vec2<f32>,
+    velocity: vec2<f32>,
+    color: vec4<f32>,
+    life: f32,     // seconds left
+    lifetime: f32, // seconds it was spawned with
+    size: f32,     // quad size in pixels at spawn
+}
+
+struct SimParams {
+    delta_time: f32,
+    drag: f32, // fraction of velocity lost per second, as an exponential rate
+}
+
+// Compute pass bindings
+@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
+@group(0) @binding(1) var<uniform> params: SimParams;
+
+// Render pass bindings
+@group(0) @binding(2) var<storage, read> draw_particles: array<Particle>;
+@group(0) @binding(3) var<uniform> resolution: vec2<f32>;
+
+@compute @workgroup_size(64)
+fn simulate(@builtin(global_invocation_id) id: vec3<u32>) {
+    let index = id.x;
+    if (index >= arrayLength(&particles)) {
+        return;
+    }
+
+    var particle = particles[index];
+    if (particle.life <= 0.0) {
+        return;
+    }
+
+    particle.velocity = particle.velocity * exp(-params.drag * params.delta_time);
+    particle.position = particle.position + particle.velocity * params.delta_time;
+    particle.life = particle.life - params.delta_time;
+    particles[index] = particle;
+}
+
+struct ParticleOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) color: vec4<f32>,
+}
+
+// One instance per particle, six vertices (two triangles) per quad
+@vertex
+fn particle_vertex(
+    @builtin(vertex_index) vertex: u32,
+    @builtin(instance_index) instance: u32,
+) -> ParticleOutput {
+    var corners = array<vec2<f32>, 6>(
+        vec2<f32>(-0.5, -0.5),
+        vec2<f32>(0.5, -0.5),
+        vec2<f32>(-0.5, 0.5),
+        vec2<f32>(-0.5, 0.5),
+        vec2<f32>(0.5, -0.5),
+        vec2<f32>(0.5, 0.5),
+    );
+
+    var output: ParticleOutput;
+    let particle = draw_particles[instance];
+
+    if (particle.life <= 0.0) {
+        // Outside clip space, so nothing is rasterized
+        output.position = vec4<f32>(2.0, 2.0, 0.0, 1.0);
+        output.color = vec4<f32>(0.0);
+        return output;
+    }
+
+    let remaining = particle.life / particle.lifetime;
+    let pixel = particle.position + corners[vertex] * particle.size * (0.5 + 0.5 * remaining);
+
+    let normalized_x = (pixel.x / resolution.x) * 2.0 - 1.0;
+    let normalized_y = 1.0 - (pixel.y / resolution.y) * 2.0;
+    output.position = vec4<f32>(normalized_x, normalized_y, 0.0, 1.0);
+    output.color = vec4<f32>(particle.color.rgb, particle.color.a * remaining);
+    return output;
+}
+
+@fragment
+fn particle_fragment(input: ParticleOutput) -> @location(0) vec4<f32> {
+    return input.color;
+}
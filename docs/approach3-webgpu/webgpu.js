@@ -1,28 +1,40 @@
 // WebGPU JavaScript bindings for zig-wasm-shooter
-// Provides rendering interface for game.zig
-
-// WebGPU state
-let device;
-let context;
-let renderPipeline;
-let commandEncoder;
-let renderPass;
-let uniformBindGroup;
-let resolutionBuffer;
-let colorBuffer;
-let vertexBuffer;
-let wasmInstance;
-let wasmMemory;
-
-// Canvas dimensions
-const CANVAS_WIDTH = 800;
-const CANVAS_HEIGHT = 600;
-
-// Maximum vertices per draw call (for rectangles and triangles)
-const MAX_VERTICES = 6; // 2 triangles = 6 vertices for rectangle, or 3 for triangle
-
-// Draw state
-let currentVertices = [];
+// Provides rendering interface for game.zig.
+// Draws are collected into a frame-sized vertex buffer and submitted at gpu_end_frame.
+// Particles spawned with gpu_spawn_particles are simulated by a compute pass
+// and drawn between the game's primitives and the overlay (see particles.wgsl).
+// Shaders map the 800x600 playfield to clip space; the render pass viewport
+// puts it in the letterboxed rectangle of the canvas (see shared/viewport.js).
+
+import { PAUSE_OVERLAY, drawOverlay } from '../shared/overlay.js';
+import { CanvasViewport, PLAYFIELD_HEIGHT, PLAYFIELD_WIDTH } from '../shared/viewport.js';
+
+// Vertex layout: position vec2<f32> + color vec4<f32>
+const FLOATS_PER_VERTEX = 6;
+const BYTES_PER_VERTEX = FLOATS_PER_VERTEX * 4;
+
+// Initial frame capacity in vertices (grows by doubling)
+const INITIAL_FRAME_VERTICES = 1024;
+
+// Particle ring buffer. Layout per particle (matches Particle in
+// particles.wgsl): position vec2, velocity vec2, color vec4, life, lifetime,
+// size, padding to 16-byte alignment.
+const MAX_PARTICLES = 4096;
+const FLOATS_PER_PARTICLE = 12;
+const BYTES_PER_PARTICLE = FLOATS_PER_PARTICLE * 4;
+const PARTICLE_WORKGROUP_SIZE = 64;
+
+// Particle behaviour
+const PARTICLE_DRAG = 2.5;
+const PARTICLE_LIFETIME = [0.4, 0.9]; // seconds, min and max
+const PARTICLE_SIZE = [2, 5];         // pixels, min and max
+// Longest step the particles take in one frame (after a stall or tab switch)
+const MAX_PARTICLE_STEP = 0.1;
+
+// Random number between min and max
+function randomBetween([min, max]) {
+    return min + Math.random() * (max - min);
+}
 
 // Check WebGPU support
 async function checkWebGPUSupport() {
@@ -31,389 +43,523 @@ async function checkWebGPUSupport() {
     }
 }
 
-// Initialize WebGPU
-async function initWebGPU() {
-    await checkWebGPUSupport();
-
-    // Get canvas
-    const canvas = document.getElementById('gameCanvas');
-    if (!canvas) {
-        throw new Error('Canvas element not found');
-    }
-    canvas.width = CANVAS_WIDTH;
-    canvas.height = CANVAS_HEIGHT;
-
-    // Request adapter and device
-    const adapter = await navigator.gpu.requestAdapter();
-    if (!adapter) {
-        throw new Error('Failed to get GPU adapter');
-    }
+// Create the WebGPU renderer for the shared host
+export function createWebGPURenderer(canvas) {
+    // WebGPU state
+    let device;
+    let context;
+    let renderPipeline;
+    let uniformBindGroup;
+    let resolutionBuffer;
+    let vertexBuffer;
+
+    // Backing store size and the playfield rectangle in it
+    const viewport = new CanvasViewport(canvas);
+
+    // Vertices of the current frame, written to vertexBuffer by gpu_end_frame
+    let frameVertices = new Float32Array(INITIAL_FRAME_VERTICES * FLOATS_PER_VERTEX);
+    let frameVertexCount = 0;
+
+    // Overlay for the frame being rendered, added on top at gpu_end_frame
+    let frameOverlay = null;
+
+    // gpu_draw_* calls since the start of the frame (performance overlay)
+    let drawCalls = 0;
+
+    // Particle system: storage buffer simulated by computePipeline and drawn
+    // by particlePipeline
+    let particleBuffer;
+    let simParamsBuffer;
+    let computePipeline;
+    let computeBindGroup;
+    let particlePipeline;
+    let particleBindGroup;
+
+    // CPU copy of spawned particles. Spawns fill the ring from nextParticle
+    // on, overwriting the oldest; gpu_end_frame uploads the slots written
+    // since the last frame, starting at spawnStart.
+    const particleStaging = new Float32Array(MAX_PARTICLES * FLOATS_PER_PARTICLE);
+    let nextParticle = 0;
+    let spawnStart = 0;
+    let spawnedCount = 0;
+
+    // performance.now() of the previous frame, for the particle time step
+    let lastFrameTime = null;
+
+    // Initialize WebGPU
+    async function initWebGPU() {
+        await checkWebGPUSupport();
+
+        // Size the canvas to its displayed size in device pixels
+        viewport.observe();
+
+        // Request adapter and device
+        const adapter = await navigator.gpu.requestAdapter();
+        if (!adapter) {
+            throw new Error('Failed to get GPU adapter');
+        }
 
-    device = await adapter.requestDevice();
-    if (!device) {
-        throw new Error('Failed to get GPU device');
-    }
+        device = await adapter.requestDevice();
+        if (!device) {
+            throw new Error('Failed to get GPU device');
+        }
 
-    // Configure canvas context
-    context = canvas.getContext('webgpu');
-    const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-
-    context.configure({
-        device: device,
-        format: presentationFormat,
-        alphaMode: 'premultiplied',
-    });
-
-    // Load shader code
-    const shaderResponse = await fetch('shaders.wgsl');
-    const shaderCode = await shaderResponse.text();
-
-    // Create shader module
-    const shaderModule = device.createShaderModule({
-        label: 'Game shaders',
-        code: shaderCode,
-    });
-
-    // Create uniform buffers
-    resolutionBuffer = device.createBuffer({
-        label: 'Resolution uniform buffer',
-        size: 8, // vec2<f32> = 2 * 4 bytes
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    colorBuffer = device.createBuffer({
-        label: 'Color uniform buffer',
-        size: 16, // vec4<f32> = 4 * 4 bytes
-        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-    });
-
-    // Write resolution to buffer
-    device.queue.writeBuffer(
-        resolutionBuffer,
-        0,
-        new Float32Array([CANVAS_WIDTH, CANVAS_HEIGHT])
-    );
-
-    // Create vertex buffer
-    vertexBuffer = device.createBuffer({
-        label: 'Vertex buffer',
-        size: MAX_VERTICES * 2 * 4, // MAX_VERTICES * vec2<f32> * 4 bytes
-        usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-    });
-
-    // Create bind group layout
-    const bindGroupLayout = device.createBindGroupLayout({
-        label: 'Bind group layout',
-        entries: [
-            {
-                binding: 0,
-                visibility: GPUShaderStage.VERTEX,
-                buffer: { type: 'uniform' }
-            },
-            {
-                binding: 1,
-                visibility: GPUShaderStage.FRAGMENT,
-                buffer: { type: 'uniform' }
-            }
-        ]
-    });
-
-    // Create bind group
-    uniformBindGroup = device.createBindGroup({
-        label: 'Uniform bind group',
-        layout: bindGroupLayout,
-        entries: [
-            {
-                binding: 0,
-                resource: { buffer: resolutionBuffer }
-            },
-            {
-                binding: 1,
-                resource: { buffer: colorBuffer }
-            }
-        ]
-    });
-
-    // Create pipeline layout
-    const pipelineLayout = device.createPipelineLayout({
-        label: 'Pipeline layout',
-        bindGroupLayouts: [bindGroupLayout]
-    });
-
-    // Create render pipeline
-    renderPipeline = device.createRenderPipeline({
-        label: 'Render pipeline',
-        layout: pipelineLayout,
-        vertex: {
-            module: shaderModule,
-            entryPoint: 'vertex_main',
-            buffers: [
+        // Configure canvas context
+        context = canvas.getContext('webgpu');
+        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+
+        context.configure({
+            device: device,
+            format: presentationFormat,
+            alphaMode: 'premultiplied',
+        });
+
+        // Load shader code
+        const shaderResponse = await fetch(new URL('shaders.wgsl', import.meta.url));
+        const shaderCode = await shaderResponse.text();
+
+        // Create shader module
+        const shaderModule = device.createShaderModule({
+            label: 'Game shaders',
+            code: shaderCode,
+        });
+
+        // Create uniform buffer
+        resolutionBuffer = device.createBuffer({
+            label: 'Resolution uniform buffer',
+            size: 8, // vec2<f32> = 2 * 4 bytes
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+
+        // Write the playfield resolution to the buffer
+        device.queue.writeBuffer(
+            resolutionBuffer,
+            0,
+            new Float32Array([PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT])
+        );
+
+        // Create vertex buffer sized for the initial frame capacity
+        vertexBuffer = createVertexBuffer(frameVertices.byteLength);
+
+        // Create bind group layout
+        const bindGroupLayout = device.createBindGroupLayout({
+            label: 'Bind group layout',
+            entries: [
                 {
-                    arrayStride: 8, // vec2<f32> = 2 * 4 bytes
-                    attributes: [
-                        {
-                            shaderLocation: 0,
-                            offset: 0,
-                            format: 'float32x2'
-                        }
-                    ]
+                    binding: 0,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: 'uniform' }
                 }
             ]
-        },
-        fragment: {
-            module: shaderModule,
-            entryPoint: 'fragment_main',
-            targets: [
+        });
+
+        // Create bind group
+        uniformBindGroup = device.createBindGroup({
+            label: 'Uniform bind group',
+            layout: bindGroupLayout,
+            entries: [
                 {
-                    format: presentationFormat,
-                    blend: {
-                        color: {
-                            srcFactor: 'src-alpha',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        },
-                        alpha: {
-                            srcFactor: 'one',
-                            dstFactor: 'one-minus-src-alpha',
-                            operation: 'add'
-                        }
-                    }
+                    binding: 0,
+                    resource: { buffer: resolutionBuffer }
                 }
             ]
-        },
-        primitive: {
-            topology: 'triangle-list',
-            cullMode: 'none'
+        });
+
+        // Create pipeline layout
+        const pipelineLayout = device.createPipelineLayout({
+            label: 'Pipeline layout',
+            bindGroupLayouts: [bindGroupLayout]
+        });
+
+        // Create render pipeline
+        renderPipeline = device.createRenderPipeline({
+            label: 'Render pipeline',
+            layout: pipelineLayout,
+            vertex: {
+                module: shaderModule,
+                entryPoint: 'vertex_main',
+                buffers: [
+                    {
+                        arrayStride: BYTES_PER_VERTEX,
+                        attributes: [
+                            {
+                                shaderLocation: 0,
+                                offset: 0,
+                                format: 'float32x2'
+                            },
+                            {
+                                shaderLocation: 1,
+                                offset: 8, // after vec2<f32> position
+                                format: 'float32x4'
+                            }
+                        ]
+                    }
+                ]
+            },
+            fragment: {
+                module: shaderModule,
+                entryPoint: 'fragment_main',
+                targets: [
+                    {
+                        format: presentationFormat,
+                        blend: {
+                            color: {
+                                srcFactor: 'src-alpha',
+                                dstFactor: 'one-minus-src-alpha',
+                                operation: 'add'
+                            },
+                            alpha: {
+                                srcFactor: 'one',
+                                dstFactor: 'one-minus-src-alpha',
+                                operation: 'add'
+                            }
+                        }
+                    }
+                ]
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'none'
+            }
+        });
+
+        await initParticles(presentationFormat);
+
+        console.log('WebGPU initialized successfully');
+    }
+
+    // Create the particle buffers and the compute and render pipelines
+    async function initParticles(presentationFormat) {
+        const response = await fetch(new URL('particles.wgsl', import.meta.url));
+        if (!response.ok) {
+            throw new Error(`Failed to load particle shaders: ${response.status} ${response.statusText}`);
         }
-    });
 
-    console.log('WebGPU initialized successfully');
-}
+        const particleModule = device.createShaderModule({
+            label: 'Particle shaders',
+            code: await response.text(),
+        });
+
+        // Zero-filled, so every particle starts dead
+        particleBuffer = device.createBuffer({
+            label: 'Particle storage buffer',
+            size: MAX_PARTICLES * BYTES_PER_PARTICLE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+
+        simParamsBuffer = device.createBuffer({
+            label: 'Particle simulation uniform buffer',
+            size: 16, // delta_time, drag (padded to 16 bytes)
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+
+        computePipeline = device.createComputePipeline({
+            label: 'Particle compute pipeline',
+            layout: 'auto',
+            compute: {
+                module: particleModule,
+                entryPoint: 'simulate',
+            },
+        });
+
+        computeBindGroup = device.createBindGroup({
+            label: 'Particle compute bind group',
+            layout: computePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: particleBuffer } },
+                { binding: 1, resource: { buffer: simParamsBuffer } },
+            ],
+        });
+
+        // Particles glow: their color is added to what's underneath
+        particlePipeline = device.createRenderPipeline({
+            label: 'Particle render pipeline',
+            layout: 'auto',
+            vertex: {
+                module: particleModule,
+                entryPoint: 'particle_vertex',
+            },
+            fragment: {
+                module: particleModule,
+                entryPoint: 'particle_fragment',
+                targets: [
+                    {
+                        format: presentationFormat,
+                        blend: {
+                            color: {
+                                srcFactor: 'src-alpha',
+                                dstFactor: 'one',
+                                operation: 'add'
+                            },
+                            alpha: {
+                                srcFactor: 'zero',
+                                dstFactor: 'one',
+                                operation: 'add'
+                            }
+                        }
+                    }
+                ]
+            },
+            primitive: {
+                topology: 'triangle-list',
+                cullMode: 'none'
+            }
+        });
+
+        particleBindGroup = device.createBindGroup({
+            label: 'Particle render bind group',
+            layout: particlePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 2, resource: { buffer: particleBuffer } },
+                { binding: 3, resource: { buffer: resolutionBuffer } },
+            ],
+        });
+    }
 
-// Begin frame - create command encoder and render pass
-function gpu_begin_frame() {
-    // Create command encoder
-    commandEncoder = device.createCommandEncoder({
-        label: 'Frame command encoder'
-    });
-
-    // Get current texture from canvas
-    const textureView = context.getCurrentTexture().createView();
-
-    // Begin render pass
-    renderPass = commandEncoder.beginRenderPass({
-        label: 'Frame render pass',
-        colorAttachments: [
-            {
-                view: textureView,
-                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store'
+    // Upload the particles spawned since the last frame (at most two ranges,
+    // as the ring may have wrapped)
+    function uploadSpawnedParticles() {
+        if (spawnedCount === 0) return;
+
+        const writeRange = (first, count) => {
+            device.queue.writeBuffer(
+                particleBuffer,
+                first * BYTES_PER_PARTICLE,
+                particleStaging,
+                first * FLOATS_PER_PARTICLE,
+                count * FLOATS_PER_PARTICLE,
+            );
+        };
+
+        if (spawnedCount >= MAX_PARTICLES) {
+            writeRange(0, MAX_PARTICLES);
+        } else {
+            const beforeWrap = Math.min(spawnedCount, MAX_PARTICLES - spawnStart);
+            writeRange(spawnStart, beforeWrap);
+            if (spawnedCount > beforeWrap) {
+                writeRange(0, spawnedCount - beforeWrap);
             }
-        ]
-    });
+        }
 
-    // Set pipeline
-    renderPass.setPipeline(renderPipeline);
-    renderPass.setBindGroup(0, uniformBindGroup);
-}
+        spawnStart = nextParticle;
+        spawnedCount = 0;
+    }
 
-// End frame - end render pass and submit
-function gpu_end_frame() {
-    // End render pass
-    renderPass.end();
+    // Seconds the particles should advance this frame. They stand still
+    // while the game is paused.
+    function particleStep() {
+        const now = performance.now();
+        const elapsed = lastFrameTime === null ? 0 : (now - lastFrameTime) / 1000;
+        lastFrameTime = now;
 
-    // Submit command buffer
-    device.queue.submit([commandEncoder.finish()]);
-}
+        if (frameOverlay === PAUSE_OVERLAY) return 0;
+        return Math.min(elapsed, MAX_PARTICLE_STEP);
+    }
 
-// Draw filled rectangle
-function gpu_draw_rect(x, y, w, h, r, g, b, a) {
-    // Create two triangles for the rectangle
-    // Triangle 1: top-left, top-right, bottom-left
-    // Triangle 2: top-right, bottom-right, bottom-left
-    const vertices = new Float32Array([
-        x, y,           // top-left
-        x + w, y,       // top-right
-        x, y + h,       // bottom-left
-        x + w, y,       // top-right
-        x + w, y + h,   // bottom-right
-        x, y + h        // bottom-left
-    ]);
-
-    // Update color buffer
-    device.queue.writeBuffer(
-        colorBuffer,
-        0,
-        new Float32Array([r, g, b, a])
-    );
-
-    // Update vertex buffer
-    device.queue.writeBuffer(vertexBuffer, 0, vertices);
-
-    // Set vertex buffer and draw
-    renderPass.setVertexBuffer(0, vertexBuffer);
-    renderPass.draw(6, 1, 0, 0); // 6 vertices for 2 triangles
-}
+    // Create a vertex buffer that can be filled with queue.writeBuffer
+    function createVertexBuffer(size) {
+        return device.createBuffer({
+            label: 'Frame vertex buffer',
+            size: size,
+            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+        });
+    }
 
-// Draw filled triangle
-function gpu_draw_triangle(x1, y1, x2, y2, x3, y3, r, g, b, a) {
-    // Create triangle vertices
-    const vertices = new Float32Array([
-        x1, y1,
-        x2, y2,
-        x3, y3
-    ]);
-
-    // Update color buffer
-    device.queue.writeBuffer(
-        colorBuffer,
-        0,
-        new Float32Array([r, g, b, a])
-    );
-
-    // Update vertex buffer
-    device.queue.writeBuffer(vertexBuffer, 0, vertices);
-
-    // Set vertex buffer and draw
-    renderPass.setVertexBuffer(0, vertexBuffer);
-    renderPass.draw(3, 1, 0, 0); // 3 vertices for 1 triangle
-}
+    // Make room for `count` more vertices in the frame
+    function reserve(count) {
+        const needed = (frameVertexCount + count) * FLOATS_PER_VERTEX;
+        if (needed <= frameVertices.length) return;
+
+        let size = frameVertices.length * 2;
+        while (size < needed) size *= 2;
 
-// WASM imports object
-const wasmImports = {
-    env: {
-        gpu_begin_frame,
-        gpu_end_frame,
-        gpu_draw_rect,
-        gpu_draw_triangle
+        const grown = new Float32Array(size);
+        grown.set(frameVertices.subarray(0, frameVertexCount * FLOATS_PER_VERTEX));
+        frameVertices = grown;
     }
-};
-
-// Load WASM and start game
-async function loadWASM() {
-    try {
-        // Fetch WASM file
-        const response = await fetch('game-webgpu.wasm');
-        const wasmBytes = await response.arrayBuffer();
-
-        // Instantiate WASM module
-        const wasmModule = await WebAssembly.instantiate(wasmBytes, wasmImports);
-        wasmInstance = wasmModule.instance;
-        wasmMemory = wasmInstance.exports.memory;
-
-        console.log('WASM loaded successfully');
-
-        // Initialize game
-        if (wasmInstance.exports.init) {
-            wasmInstance.exports.init();
-            console.log('Game initialized');
-        }
 
-        // Start game loop
-        startGameLoop();
-    } catch (error) {
-        console.error('Failed to load WASM:', error);
-        throw error;
+    // Append one vertex to the frame (space must be reserved)
+    function pushVertex(x, y, r, g, b, a) {
+        let i = frameVertexCount * FLOATS_PER_VERTEX;
+        frameVertices[i++] = x;
+        frameVertices[i++] = y;
+        frameVertices[i++] = r;
+        frameVertices[i++] = g;
+        frameVertices[i++] = b;
+        frameVertices[i] = a;
+        frameVertexCount++;
     }
-}
 
-// Game loop
-let lastTime = performance.now();
-let isRunning = true;
+    // Begin frame - start collecting vertices
+    function gpu_begin_frame() {
+        frameVertexCount = 0;
+    }
 
-function startGameLoop() {
-    function gameLoop() {
-        if (!isRunning) return;
+    // End frame - upload the frame's vertices and new particles, run the
+    // particle simulation, record one render pass and submit
+    function gpu_end_frame() {
+        // Particles go between the game's primitives and the overlay
+        const sceneVertexCount = frameVertexCount;
+        // Overlay text isn't part of the game's draw calls
+        if (frameOverlay) {
+            const gameDrawCalls = drawCalls;
+            drawOverlay(gpu_draw_rect, frameOverlay, PLAYFIELD_WIDTH, PLAYFIELD_HEIGHT);
+            drawCalls = gameDrawCalls;
+        }
 
-        // Calculate delta time in seconds
-        const currentTime = performance.now();
-        const deltaTime = (currentTime - lastTime) / 1000.0;
-        lastTime = currentTime;
+        const vertices = frameVertices.subarray(0, frameVertexCount * FLOATS_PER_VERTEX);
 
-        // Update game state
-        if (wasmInstance.exports.update) {
-            wasmInstance.exports.update(deltaTime);
+        // Grow the GPU buffer if this frame outgrew it
+        if (vertices.byteLength > vertexBuffer.size) {
+            vertexBuffer.destroy();
+            vertexBuffer = createVertexBuffer(frameVertices.byteLength);
         }
-
-        // Render game
-        if (wasmInstance.exports.render) {
-            wasmInstance.exports.render();
+        if (frameVertexCount > 0) {
+            device.queue.writeBuffer(vertexBuffer, 0, vertices);
         }
 
-        // Update score display
-        if (wasmInstance.exports.get_score) {
-            const score = wasmInstance.exports.get_score();
-            const scoreElement = document.getElementById('score');
-            if (scoreElement) {
-                scoreElement.textContent = `Score: ${score}`;
-            }
+        uploadSpawnedParticles();
+
+        // Create command encoder
+        const commandEncoder = device.createCommandEncoder({
+            label: 'Frame command encoder'
+        });
+
+        // Move and age the particles
+        const step = particleStep();
+        if (step > 0) {
+            device.queue.writeBuffer(simParamsBuffer, 0, new Float32Array([step, PARTICLE_DRAG]));
+
+            const computePass = commandEncoder.beginComputePass({
+                label: 'Particle compute pass'
+            });
+            computePass.setPipeline(computePipeline);
+            computePass.setBindGroup(0, computeBindGroup);
+            computePass.dispatchWorkgroups(Math.ceil(MAX_PARTICLES / PARTICLE_WORKGROUP_SIZE));
+            computePass.end();
         }
 
-        // Continue loop
-        requestAnimationFrame(gameLoop);
-    }
-
-    requestAnimationFrame(gameLoop);
-    console.log('Game loop started');
-}
+        // Get current texture from canvas
+        const textureView = context.getCurrentTexture().createView();
 
-// Keyboard input handling
-function setupKeyboardInput() {
-    document.addEventListener('keydown', (event) => {
-        if (wasmInstance && wasmInstance.exports.key_down) {
-            wasmInstance.exports.key_down(event.keyCode);
-        }
-        // Prevent default for arrow keys and WASD
-        if ([37, 38, 39, 40, 65, 68, 83, 87].includes(event.keyCode)) {
-            event.preventDefault();
+        // Begin render pass; the clear leaves the letterbox bars black
+        const renderPass = commandEncoder.beginRenderPass({
+            label: 'Frame render pass',
+            colorAttachments: [
+                {
+                    view: textureView,
+                    clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
+                    loadOp: 'clear',
+                    storeOp: 'store'
+                }
+            ]
+        });
+
+        const { x, y, width, height } = viewport.rect;
+        renderPass.setViewport(x, y, width, height, 0, 1);
+        renderPass.setScissorRect(x, y, width, height);
+
+        // Draw the game's primitives, then the particles, then the overlay
+        if (sceneVertexCount > 0) {
+            renderPass.setPipeline(renderPipeline);
+            renderPass.setBindGroup(0, uniformBindGroup);
+            renderPass.setVertexBuffer(0, vertexBuffer);
+            renderPass.draw(sceneVertexCount, 1, 0, 0);
         }
-    });
 
-    document.addEventListener('keyup', (event) => {
-        if (wasmInstance && wasmInstance.exports.key_up) {
-            wasmInstance.exports.key_up(event.keyCode);
+        renderPass.setPipeline(particlePipeline);
+        renderPass.setBindGroup(0, particleBindGroup);
+        renderPass.draw(6, MAX_PARTICLES, 0, 0);
+
+        if (frameVertexCount > sceneVertexCount) {
+            renderPass.setPipeline(renderPipeline);
+            renderPass.setBindGroup(0, uniformBindGroup);
+            renderPass.setVertexBuffer(0, vertexBuffer);
+            renderPass.draw(frameVertexCount - sceneVertexCount, 1, sceneVertexCount, 0);
         }
-    });
 
-    console.log('Keyboard input setup complete');
-}
+        // End render pass
+        renderPass.end();
 
-// Initialize everything
-async function init() {
-    try {
-        console.log('Initializing WebGPU shooter game...');
-
-        // Initialize WebGPU
-        await initWebGPU();
-
-        // Setup keyboard input
-        setupKeyboardInput();
-
-        // Load WASM and start game
-        await loadWASM();
-
-        console.log('Game ready!');
-    } catch (error) {
-        console.error('Initialization failed:', error);
-
-        // Display error to user
-        const canvas = document.getElementById('gameCanvas');
-        if (canvas) {
-            const ctx = canvas.getContext('2d');
-            if (ctx) {
-                ctx.fillStyle = '#ff0000';
-                ctx.font = '20px Arial';
-                ctx.fillText('Failed to initialize WebGPU', 50, 50);
-                ctx.fillText('Check console for details', 50, 80);
-            }
+        // Submit command buffer
+        device.queue.submit([commandEncoder.finish()]);
+    }
+
+    // Draw filled rectangle
+    function gpu_draw_rect(x, y, w, h, r, g, b, a) {
+        drawCalls++;
+        // Two triangles for the rectangle
+        // Triangle 1: top-left, top-right, bottom-left
+        // Triangle 2: top-right, bottom-right, bottom-left
+        reserve(6);
+        pushVertex(x, y, r, g, b, a);         // top-left
+        pushVertex(x + w, y, r, g, b, a);     // top-right
+        pushVertex(x, y + h, r, g, b, a);     // bottom-left
+        pushVertex(x + w, y, r, g, b, a);     // top-right
+        pushVertex(x + w, y + h, r, g, b, a); // bottom-right
+        pushVertex(x, y + h, r, g, b, a);     // bottom-left
+    }
+
+    // Draw filled triangle
+    function gpu_draw_triangle(x1, y1, x2, y2, x3, y3, r, g, b, a) {
+        drawCalls++;
+        reserve(3);
+        pushVertex(x1, y1, r, g, b, a);
+        pushVertex(x2, y2, r, g, b, a);
+        pushVertex(x3, y3, r, g, b, a);
+    }
+
+    // Emit `count` particles from (x, y) in random directions at up to
+    // `speed` pixels/second. color is packed as 0xRRGGBBAA.
+    function gpu_spawn_particles(x, y, count, color, speed) {
+        const r = ((color >>> 24) & 0xff) / 255;
+        const g = ((color >>> 16) & 0xff) / 255;
+        const b = ((color >>> 8) & 0xff) / 255;
+        const a = (color & 0xff) / 255;
+
+        for (let n = Math.min(count, MAX_PARTICLES); n > 0; n--) {
+            const angle = Math.random() * Math.PI * 2;
+            const velocity = speed * (0.3 + 0.7 * Math.random());
+            const lifetime = randomBetween(PARTICLE_LIFETIME);
+
+            let i = nextParticle * FLOATS_PER_PARTICLE;
+            particleStaging[i++] = x;
+            particleStaging[i++] = y;
+            particleStaging[i++] = Math.cos(angle) * velocity;
+            particleStaging[i++] = Math.sin(angle) * velocity;
+            particleStaging[i++] = r;
+            particleStaging[i++] = g;
+            particleStaging[i++] = b;
+            particleStaging[i++] = a;
+            particleStaging[i++] = lifetime; // life
+            particleStaging[i++] = lifetime;
+            particleStaging[i] = randomBetween(PARTICLE_SIZE);
+
+            nextParticle = (nextParticle + 1) % MAX_PARTICLES;
+            spawnedCount = Math.min(spawnedCount + 1, MAX_PARTICLES);
         }
     }
-}
 
-// Start when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-} else {
-    init();
+    return {
+        name: 'WebGPU',
+        canvas,
+        wasmUrl: new URL('game-webgpu.wasm', import.meta.url),
+        init: initWebGPU,
+        imports: {
+            gpu_begin_frame,
+            gpu_end_frame,
+            gpu_draw_rect,
+            gpu_draw_triangle,
+            gpu_spawn_particles,
+        },
+        // gpu_draw_* calls made by the game in the last render()
+        get drawCalls() {
+            return drawCalls;
+        },
+        render(exports, alpha, overlay) {
+            drawCalls = 0;
+            frameOverlay = overlay;
+            exports.render(alpha);
+        },
+    };
 }
@@ -0,0 +1,108 @@
+// Sprite atlases
+// An atlas is one PNG holding every sprite plus a JSON frame map:
+//   { format, version, image, width, height,
+//     frames: { name: { x, y, w, h, cap? } },
+//     animations: { name: { fps, frames: [frame names] } } }
+// Frames are pixel rectangles in the image. A frame with `cap` may only be
+// stretched between its left and right `cap` pixels (see drawFrameSlices).
+// tools/build-atlas.mjs generates the default atlas in shared/assets/.
+
+export const ATLAS_FORMAT = 'zig-wasm-shooter-atlas';
+export const ATLAS_VERSION = 1;
+
+export const DEFAULT_ATLAS_URL = new URL('./assets/sprites.json', import.meta.url);
+
+function isValidFrame(frame, width, height) {
+    return Boolean(frame) &&
+        [frame.x, frame.y, frame.w, frame.h].every(Number.isInteger) &&
+        frame.x >= 0 && frame.y >= 0 && frame.w > 0 && frame.h > 0 &&
+        frame.x + frame.w <= width && frame.y + frame.h <= height &&
+        (frame.cap === undefined || (Number.isInteger(frame.cap) && frame.cap * 2 < frame.w));
+}
+
+// Check a frame map (object or JSON text), throwing on anything renderers
+// can't draw
+export function parseAtlas(data) {
+    const atlas = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!atlas || atlas.format !== ATLAS_FORMAT) {
+        throw new Error('Not a zig-wasm-shooter sprite atlas');
+    }
+    if (atlas.version !== ATLAS_VERSION) {
+        throw new Error(`Unsupported atlas version ${atlas.version}`);
+    }
+    if (typeof atlas.image !== 'string' || !Number.isInteger(atlas.width) || !Number.isInteger(atlas.height)) {
+        throw new Error('Atlas has no image size');
+    }
+
+    for (const [name, frame] of Object.entries(atlas.frames ?? {})) {
+        if (!isValidFrame(frame, atlas.width, atlas.height)) {
+            throw new Error(`Atlas frame ${name} is outside the image`);
+        }
+    }
+    for (const [name, animation] of Object.entries(atlas.animations ?? {})) {
+        if (!Array.isArray(animation.frames) || animation.frames.length === 0 ||
+            !animation.frames.every((frame) => atlas.frames[frame])) {
+            throw new Error(`Atlas animation ${name} refers to missing frames`);
+        }
+        if (!Number.isFinite(animation.fps) || animation.fps < 0) {
+            throw new Error(`Atlas animation ${name} has no frame rate`);
+        }
+    }
+
+    return atlas;
+}
+
+export class SpriteAtlas {
+    constructor(image, { frames, animations }) {
+        this.image = image;
+        this.frames = frames;
+        this.animations = animations;
+    }
+
+    has(animation) {
+        return animation in this.animations;
+    }
+
+    // Frame of `animation` to show `time` seconds in. `phase` (in frames)
+    // offsets the animation so sprites of the same kind don't move in step.
+    frame(animation, time, phase = 0) {
+        const { fps, frames } = this.animations[animation];
+        const index = fps > 0 ? Math.floor(time * fps + phase) % frames.length : 0;
+        return this.frames[frames[index]];
+    }
+}
+
+// Split drawing `frame` into (dx, dy, dw, dh) into up to three slices, calling
+// slice(sx, sy, sw, sh, dx, dy, dw, dh) for each. Frames with a `cap` keep
+// their caps unscaled horizontally; everything else is drawn as one slice.
+export function drawFrameSlices(slice, frame, dx, dy, dw, dh) {
+    const { x, y, w, h, cap = 0 } = frame;
+    if (cap === 0 || dw <= cap * 2) {
+        slice(x, y, w, h, dx, dy, dw, dh);
+        return;
+    }
+
+    slice(x, y, cap, h, dx, dy, cap, dh);
+    slice(x + cap, y, w - cap * 2, h, dx + cap, dy, dw - cap * 2, dh);
+    slice(x + w - cap, y, cap, h, dx + dw - cap, dy, cap, dh);
+}
+
+// Fetch a frame map and its image (resolved relative to the map).
+// Rejects if either can't be loaded, so callers can fall back to flat shapes.
+export async function loadAtlas(url = DEFAULT_ATLAS_URL) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch atlas: ${response.status} ${response.statusText}`);
+    }
+    const atlas = parseAtlas(await response.json());
+
+    const image = new Image();
+    image.src = new URL(atlas.image, response.url || url).href;
+    await image.decode();
+
+    if (image.naturalWidth !== atlas.width || image.naturalHeight !== atlas.height) {
+        throw new Error(`Atlas image is ${image.naturalWidth}x${image.naturalHeight}, expected ${atlas.width}x${atlas.height}`);
+    }
+    return new SpriteAtlas(image, atlas);
+}
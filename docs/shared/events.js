@@ -0,0 +1,76 @@
+// Gameplay events from the WASM modules
+// Every game.zig imports game_event(kind, x, y, payload) and calls it when
+// something happens (a shot, a kill, a hit). Events raised during a
+// simulation step are queued and handed to subscribers once the frame's steps
+// are done, so listeners never run in the middle of update().
+
+// Event kinds, indexed by the number the modules pass
+export const GAME_EVENT_TYPES = [
+    'shot',            // payload: unused
+    'enemy_destroyed', // payload: points scored
+    'player_hit',      // payload: damage taken
+    'game_over',       // payload: final score
+];
+
+export class GameEventChannel {
+    constructor() {
+        // Simulation frame stamped on events raised from now on
+        this.frame = 0;
+        this.queue = [];
+        // Event type (or '*' for all) -> Set of listeners
+        this.listeners = new Map();
+
+        this.push = this.push.bind(this);
+    }
+
+    // Functions the game modules import under `env`
+    get imports() {
+        return { game_event: this.push };
+    }
+
+    // Called from WASM: queue an event for the next dispatch
+    push(kind, x, y, payload) {
+        const type = GAME_EVENT_TYPES[kind];
+        if (!type) {
+            console.warn(`Ignoring unknown game event ${kind}`);
+            return;
+        }
+        this.queue.push({ type, x, y, payload, frame: this.frame });
+    }
+
+    // Call `listener(event)` for every event of `type` ('*' for all).
+    // Returns a function that removes the subscription.
+    subscribe(type, listener) {
+        if (type !== '*' && !GAME_EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown game event type: ${type}`);
+        }
+
+        const listeners = this.listeners.get(type) ?? new Set();
+        listeners.add(listener);
+        this.listeners.set(type, listeners);
+        return () => listeners.delete(listener);
+    }
+
+    // Deliver queued events in the order they were raised
+    dispatch() {
+        const events = this.queue;
+        this.queue = [];
+
+        for (const event of events) {
+            for (const type of [event.type, '*']) {
+                for (const listener of this.listeners.get(type) ?? []) {
+                    try {
+                        listener(event);
+                    } catch (error) {
+                        console.error(`Game event listener for ${type} failed:`, error);
+                    }
+                }
+            }
+        }
+    }
+
+    // Drop undelivered events (the simulation was reset)
+    clear() {
+        this.queue = [];
+    }
+}
@@ -0,0 +1,635 @@
+// Shared JavaScript host runtime for zig-wasm-shooter
+// Owns WASM loading, the game loop, keyboard input and status reporting.
+// Each approach only plugs in a renderer (its WASM imports and draw hook).
+
+import { AudioSystem } from './audio.js';
+import { KeyBindings } from './bindings.js';
+import { DEFAULT_DIFFICULTY, difficultyLevel } from './difficulty.js';
+import { GameEventChannel } from './events.js';
+import { GamepadInput } from './gamepad.js';
+import { formatHighScores } from './highscores.js';
+import { PAUSE_OVERLAY, gameOverOverlay, titleOverlay } from './overlay.js';
+import { PerfOverlay } from './perf.js';
+import { InputRecorder, ReplayPlayer } from './replay.js';
+import { TouchControls } from './touch.js';
+
+// The simulation always advances in fixed steps of this many seconds (120 Hz),
+// so results don't depend on the display's refresh rate
+export const FIXED_TIMESTEP = 1 / 120;
+
+// Cap the time simulated per frame so a long stall doesn't trigger an
+// endless catch-up; anything beyond this is dropped
+export const MAX_FRAME_TIME = 0.25;
+
+// Physical keys that toggle pause (unless bound to a game action)
+export const PAUSE_KEYS = ['KeyP', 'Escape'];
+
+// Physical keys that restart the game (unless bound to a game action)
+export const RESTART_KEYS = ['KeyR'];
+
+// Physical keys that show or hide the performance overlay
+export const PERF_KEYS = ['F2'];
+
+// Whether a key event target is a form field the user is typing into
+function isTextEntry(target) {
+    return Boolean(target && target.closest && target.closest('input, textarea, select, [contenteditable]'));
+}
+
+// Fetch, compile and instantiate a WASM module, resolving to the instance
+export async function loadWasm(url, imports, onStatus = () => {}) {
+    onStatus('Loading WASM module...');
+    const response = await fetch(url);
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch WASM: ${response.status} ${response.statusText}`);
+    }
+
+    const wasmBytes = await response.arrayBuffer();
+
+    onStatus('Compiling WASM module...');
+    const wasmModule = await WebAssembly.compile(wasmBytes);
+
+    onStatus('Instantiating WASM module...');
+    return WebAssembly.instantiate(wasmModule, imports);
+}
+
+// Runs one game: loads the renderer's WASM, drives the loop and forwards input
+// from the keyboard, connected gamepads and (on touch devices) on-screen controls.
+// Gameplay events the module reports through game_event() are published on
+// `events` (a GameEventChannel); the audio system is one subscriber.
+// The game waits on a title screen until the first input, pauses on P/Escape
+// and whenever the tab is hidden or loses focus; R restarts it on the same
+// instance. F2 toggles the performance overlay (see perf.js).
+// If a WebGL canvas loses its context the game pauses until the renderer has
+// restored it, then resumes on its own (unless it was paused already).
+//
+// Events (dispatched on the host, an EventTarget):
+//   newgame          - the simulation was reset (restart, replay, difficulty)
+//   gameover         - the player died; detail is { score, replay }
+//   difficultychange - host.difficulty changed
+//
+// A renderer is a plain object:
+//   name       - display name used in status messages
+//   canvas     - the canvas it draws into
+//   wasmUrl    - URL of the compiled game module
+//   imports    - functions provided to WASM under `env` (may be empty)
+//   init()     - optional async setup before the WASM is instantiated
+//   attach(instance) - optional, receives the instance once created
+//   drawCalls  - optional, draw calls the game issued in the last render()
+//   contextLost - optional, true while a lost WebGL context isn't rebuilt
+//   render(exports, alpha, overlay) - draws one frame; alpha (0..1) is how far
+//                    we are between the last two simulation steps, for
+//                    interpolation. overlay is null or a message to draw on
+//                    top of the game (see overlay.js)
+export class GameHost extends EventTarget {
+    constructor({
+        renderer,
+        statusElement = null,
+        scoreElement = null,
+        gamepad = {},
+        bindings = new KeyBindings(),
+        difficulty = DEFAULT_DIFFICULTY,
+        highScores = null,
+        audio = new AudioSystem(),
+        perf = new PerfOverlay(),
+    }) {
+        super();
+        this.renderer = renderer;
+        this.statusElement = statusElement;
+        this.scoreElement = scoreElement;
+
+        this.instance = null;
+        this.exports = null;
+        this.isRunning = false;
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+        this.simulationFrame = 0;
+
+        // While paused the simulation is frozen and input is ignored
+        this.isPaused = false;
+        this.wasGameOver = false;
+
+        // The renderer's WebGL context is lost; resumeOnRestore records
+        // whether the loss is what paused the game
+        this.isContextLost = false;
+        this.resumeOnRestore = false;
+
+        // The title screen shows until the first game input
+        this.isOnTitle = true;
+
+        // Difficulty id (see difficulty.js) and the optional HighScoreTable
+        // whose entries appear on the title and game-over screens
+        difficultyLevel(difficulty);
+        this.difficulty = difficulty;
+        this.highScores = highScores;
+        this.audio = audio;
+
+        // Events raised by the module during update(), dispatched each frame
+        this.events = new GameEventChannel();
+        this.audio.listenTo(this.events);
+
+        // Frame timings, shown when the overlay is toggled on;
+        // updateTime sums this frame's update() calls in milliseconds
+        this.perf = perf;
+        this.updateTime = 0;
+
+        // Input of the current session, and the replay being played (if any)
+        this.recorder = null;
+        this.replay = null;
+
+        // Logical key -> input sources currently holding it
+        this.heldKeys = new Map();
+
+        // Physical keys (KeyboardEvent.code) -> logical key they pressed,
+        // so a rebind while a key is down still releases the right one
+        this.bindings = bindings;
+        this.keyboardKeys = new Map();
+
+        this.touchControls = null;
+        this.gamepad = GamepadInput.isSupported()
+            ? new GamepadInput({ ...gamepad, onConnectionChange: (message) => this.setStatus(message) })
+            : null;
+
+        this.frame = this.frame.bind(this);
+        this.sendKey = this.sendKey.bind(this);
+        this.press = this.press.bind(this);
+        this.release = this.release.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onVisibilityChange = this.onVisibilityChange.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.onContextLost = this.onContextLost.bind(this);
+        this.onContextRestored = this.onContextRestored.bind(this);
+    }
+
+    // Update status message
+    setStatus(message, isError = false) {
+        if (isError) {
+            console.error(message);
+        }
+        if (!this.statusElement) return;
+
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', isError);
+    }
+
+    // Initialize the renderer, load the WASM module and start the loop.
+    // Resolves to whether the game is running; failures are reported in the
+    // status element, so callers may try another renderer.
+    async start() {
+        try {
+            if (this.renderer.init) {
+                this.setStatus(`Initializing ${this.renderer.name}...`);
+                await this.renderer.init();
+            }
+
+            const importObject = { env: { ...this.events.imports, ...this.renderer.imports } };
+            const instance = await loadWasm(
+                this.renderer.wasmUrl,
+                importObject,
+                (message) => this.setStatus(message),
+            );
+
+            this.instance = instance;
+            this.exports = instance.exports;
+            if (this.renderer.attach) {
+                this.renderer.attach(instance);
+            }
+
+            this.setStatus('Initializing game...');
+            this.resetSimulation();
+
+            this.attachKeyboard(window);
+            this.audio.attach(window);
+            this.perf.attach();
+            if (this.gamepad) {
+                this.gamepad.attach(window);
+            }
+            document.addEventListener('visibilitychange', this.onVisibilityChange);
+            window.addEventListener('blur', this.onBlur);
+            this.renderer.canvas.addEventListener('click', () => this.onCanvasClick());
+            // Added after the renderer's own listeners, so it has rebuilt
+            // its resources by the time we resume
+            this.renderer.canvas.addEventListener('webglcontextlost', this.onContextLost);
+            this.renderer.canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+
+            if (TouchControls.isTouchDevice()) {
+                this.touchControls = new TouchControls({
+                    canvas: this.renderer.canvas,
+                    press: this.press,
+                    release: this.release,
+                });
+                this.touchControls.attach();
+                this.setStatus('Game ready! Touch the controls to start: the joystick moves, the red button shoots.');
+            } else {
+                this.setStatus('Game ready! Press a game key to start: WASD or arrow keys move, Space shoots.');
+            }
+            this.isRunning = true;
+            requestAnimationFrame(this.frame);
+            return true;
+        } catch (error) {
+            console.error(error);
+            this.setStatus(`Error: ${error.message}`, true);
+            return false;
+        }
+    }
+
+    // Re-run init() and start a fresh recording from simulation frame 0
+    resetSimulation() {
+        this.exports.init();
+        if (this.exports.set_difficulty) {
+            this.exports.set_difficulty(difficultyLevel(this.difficulty));
+        }
+        this.simulationFrame = 0;
+        this.accumulator = 0;
+        this.wasGameOver = false;
+        this.events.clear();
+        // init() already cleared the module's key state
+        this.forgetHeldKeys();
+        this.recorder = new InputRecorder({
+            approach: this.renderer.name,
+            timestep: FIXED_TIMESTEP,
+            difficulty: this.difficulty,
+        });
+        this.dispatchEvent(new Event('newgame'));
+    }
+
+    // Freeze the simulation and show the pause overlay
+    pause() {
+        if (!this.isRunning || this.isPaused) return;
+
+        // Key releases that happen while paused (or in another tab) never
+        // reach us, so let go of everything now rather than leave keys stuck
+        this.releaseAllKeys();
+        this.isPaused = true;
+        this.setStatus('Paused. Press P or Esc (or click the game) to resume.');
+    }
+
+    // Stays paused while the context is lost; there would be nothing to see
+    resume() {
+        if (!this.isPaused || this.isContextLost) return;
+
+        this.isPaused = false;
+        // Measure the next frame from now, not from when we paused
+        this.lastFrameTime = null;
+        this.setStatus('Resumed.');
+    }
+
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    onVisibilityChange() {
+        if (document.hidden) {
+            this.pause();
+        }
+    }
+
+    onBlur() {
+        this.pause();
+    }
+
+    onContextLost() {
+        this.resumeOnRestore = this.isRunning && !this.isPaused;
+        this.pause();
+        this.isContextLost = true;
+        this.setStatus('Graphics context lost. The game will continue once the browser restores it.', true);
+    }
+
+    onContextRestored() {
+        // The renderer reports whether it managed to rebuild its resources
+        if (this.renderer.contextLost) {
+            this.setStatus('Graphics context could not be restored. Reload the page to continue.', true);
+            return;
+        }
+
+        this.isContextLost = false;
+        if (this.resumeOnRestore) {
+            this.resumeOnRestore = false;
+            this.resume();
+            this.setStatus('Graphics context restored.');
+        } else {
+            this.setStatus('Graphics context restored. Press P or Esc (or click the game) to resume.');
+        }
+    }
+
+    // Release every held key and forget what each input device was holding
+    releaseAllKeys() {
+        for (const key of this.heldKeys.keys()) {
+            this.sendKey('up', key);
+        }
+        this.forgetHeldKeys();
+    }
+
+    // Drop all held-key bookkeeping without telling the WASM module
+    forgetHeldKeys() {
+        this.heldKeys.clear();
+        this.keyboardKeys.clear();
+
+        if (this.gamepad) {
+            this.gamepad.reset();
+        }
+        if (this.touchControls) {
+            this.touchControls.reset();
+        }
+    }
+
+    // Start a new game on the existing instance, dropping any replay
+    restart() {
+        if (!this.isRunning) return;
+
+        this.replay = null;
+        this.resetSimulation();
+        this.isOnTitle = false;
+        this.isPaused = false;
+        this.lastFrameTime = null;
+        this.setStatus('New game started.');
+    }
+
+    // Switch difficulty; a game in progress starts over at the new level
+    setDifficulty(difficulty) {
+        difficultyLevel(difficulty);
+        if (difficulty === this.difficulty) return;
+
+        this.difficulty = difficulty;
+        this.dispatchEvent(new Event('difficultychange'));
+        if (this.isRunning && !this.isOnTitle) {
+            this.restart();
+        } else if (this.isRunning) {
+            this.resetSimulation();
+        }
+    }
+
+    // Called once when the player dies
+    onGameOver() {
+        const score = this.currentScore();
+        this.setStatus(`Game over! Final score: ${score}. Press R or click the game to play again.`);
+        this.dispatchEvent(new CustomEvent('gameover', {
+            detail: { score, replay: this.replay !== null },
+        }));
+    }
+
+    // Leave the title screen and start playing
+    startPlaying() {
+        if (!this.isOnTitle) return;
+
+        this.isOnTitle = false;
+        this.lastFrameTime = null;
+        this.setStatus('Good luck!');
+    }
+
+    // Clicking the game starts it from the title screen, resumes it when
+    // paused and starts over after game over
+    onCanvasClick() {
+        if (this.isPaused) {
+            this.resume();
+        } else if (this.isOnTitle) {
+            this.startPlaying();
+        } else if (this.isGameOver()) {
+            this.restart();
+        }
+    }
+
+    currentScore() {
+        return this.exports.get_score ? this.exports.get_score() : 0;
+    }
+
+    // Top entries of the high-score table for this approach and difficulty
+    highScoreLines(count) {
+        if (!this.highScores) return [];
+        return formatHighScores(this.highScores.entries(this.renderer.name, this.difficulty), count);
+    }
+
+    // Recording of the session so far, or null before the game has started
+    exportRecording() {
+        return this.recorder ? this.recorder.toJSON(this.simulationFrame) : null;
+    }
+
+    // Restart the game and drive it from a recording instead of live input
+    playReplay(replay) {
+        if (Math.abs(replay.timestep - FIXED_TIMESTEP) > 1e-9) {
+            throw new Error(`Replay was recorded at ${1 / replay.timestep} Hz, expected ${1 / FIXED_TIMESTEP} Hz`);
+        }
+        if (replay.approach !== this.renderer.name) {
+            console.warn(`Replay was recorded with ${replay.approach}, playing it on ${this.renderer.name}`);
+        }
+
+        const difficulty = replay.difficulty ?? DEFAULT_DIFFICULTY;
+        if (difficulty !== this.difficulty) {
+            this.difficulty = difficulty;
+            this.dispatchEvent(new Event('difficultychange'));
+        }
+
+        this.resetSimulation();
+        this.isOnTitle = false;
+        this.replay = new ReplayPlayer(replay);
+        this.setStatus(`Playing replay (${replay.frames} frames)...`);
+    }
+
+    // Whether the player has died (each approach exposes this differently)
+    isGameOver() {
+        if (!this.exports) return false;
+        if (this.exports.is_alive) return !this.exports.is_alive();
+        if (this.exports.get_player_health) return this.exports.get_player_health() <= 0;
+        return false;
+    }
+
+    // Advance the simulation by exactly one fixed step
+    step() {
+        if (this.replay) {
+            this.replay.applyFrame(this.simulationFrame, this.sendKey);
+        }
+
+        this.events.frame = this.simulationFrame;
+        const updateStart = performance.now();
+        this.exports.update(FIXED_TIMESTEP);
+        this.updateTime += performance.now() - updateStart;
+        this.simulationFrame++;
+
+        if (this.replay && this.replay.isFinished(this.simulationFrame)) {
+            this.replay.releaseHeldKeys(this.sendKey);
+            this.replay = null;
+            this.setStatus('Replay finished. Live input restored.');
+        }
+    }
+
+    // Main game loop: run as many fixed steps as real time has accumulated,
+    // then render interpolated between the last two steps
+    frame(currentTime) {
+        if (!this.isRunning) return;
+
+        // Calculate delta time in seconds
+        const deltaTime = this.lastFrameTime === null ? 0 : (currentTime - this.lastFrameTime) / 1000.0;
+        this.lastFrameTime = currentTime;
+
+        this.updateTime = 0;
+
+        // Paused frames only redraw; no time is accumulated (nor on the
+        // title screen, where the first press starts the game)
+        if (!this.isPaused) {
+            if (this.gamepad) {
+                this.gamepad.poll(this.press, this.release);
+            }
+
+            if (!this.isOnTitle) {
+                this.accumulator += Math.min(deltaTime, MAX_FRAME_TIME);
+                while (this.accumulator >= FIXED_TIMESTEP) {
+                    this.step();
+                    this.accumulator -= FIXED_TIMESTEP;
+                }
+            }
+        }
+
+        this.events.dispatch();
+
+        const isGameOver = this.isGameOver();
+        if (isGameOver && !this.wasGameOver) {
+            this.onGameOver();
+        }
+        this.wasGameOver = isGameOver;
+
+        const overlay = this.currentOverlay(isGameOver);
+        const renderStart = performance.now();
+        this.renderer.render(this.exports, this.accumulator / FIXED_TIMESTEP, overlay);
+        const renderTime = performance.now() - renderStart;
+        this.updateScore();
+
+        this.perf.frame({
+            frameTime: deltaTime * 1000,
+            updateTime: this.updateTime,
+            renderTime,
+            drawCalls: this.renderer.drawCalls ?? null,
+        }, this.exports, currentTime);
+
+        requestAnimationFrame(this.frame);
+    }
+
+    // Message to draw over the game this frame, if any
+    currentOverlay(isGameOver) {
+        if (this.isPaused) {
+            return PAUSE_OVERLAY;
+        }
+        if (this.isOnTitle) {
+            return titleOverlay(this.highScoreLines(5));
+        }
+        if (isGameOver) {
+            return gameOverOverlay(this.currentScore(), this.highScoreLines(5));
+        }
+        return null;
+    }
+
+    // Update the score display, if the page has one
+    updateScore() {
+        if (!this.scoreElement || !this.exports.get_score) return;
+
+        let text = `Score: ${this.exports.get_score()}`;
+        if (this.isGameOver()) {
+            text += ' - GAME OVER! (Press R to play again)';
+        }
+        this.scoreElement.textContent = text;
+    }
+
+    // Deliver a key event to the WASM module and record it
+    sendKey(type, key) {
+        if (this.recorder) {
+            this.recorder.record(this.simulationFrame, type, key);
+        }
+
+        if (type === 'down') {
+            this.exports.key_down(key);
+        } else {
+            this.exports.key_up(key);
+        }
+    }
+
+    // Hold a logical key on behalf of an input source ('keyboard:38', 'gamepad:0').
+    // The WASM sees key_down on the first press and key_up once the last
+    // source lets go, so keyboard and gamepad can be used together.
+    // Live input is ignored while paused or while a replay is driving the game.
+    press(key, source) {
+        if (!this.exports || this.replay || this.isPaused) return;
+        this.startPlaying();
+
+        const sources = this.heldKeys.get(key) ?? new Set();
+        const wasHeld = sources.size > 0;
+        sources.add(source);
+        this.heldKeys.set(key, sources);
+
+        if (!wasHeld) {
+            this.sendKey('down', key);
+        }
+    }
+
+    release(key, source) {
+        if (!this.exports || this.replay || this.isPaused) return;
+
+        const sources = this.heldKeys.get(key);
+        if (!sources || !sources.delete(source)) return;
+
+        if (sources.size === 0) {
+            this.heldKeys.delete(key);
+            this.sendKey('up', key);
+        }
+    }
+
+    // Forward a live key press by physical key (KeyboardEvent.code).
+    // Returns whether the key is bound to a game action.
+    keyDown(code) {
+        const key = this.bindings.keyFor(code);
+        if (key === null) return false;
+
+        this.keyboardKeys.set(code, key);
+        this.press(key, `keyboard:${code}`);
+        return true;
+    }
+
+    keyUp(code) {
+        const key = this.keyboardKeys.get(code) ?? this.bindings.keyFor(code);
+        if (key === null) return false;
+
+        this.keyboardKeys.delete(code);
+        this.release(key, `keyboard:${code}`);
+        return true;
+    }
+
+    // Keyboard input handling
+    attachKeyboard(target) {
+        target.addEventListener('keydown', this.onKeyDown);
+        target.addEventListener('keyup', this.onKeyUp);
+    }
+
+    // Bound keys don't scroll the page or trigger other browser defaults.
+    // Typing into form fields (like the high-score name) is left alone.
+    onKeyDown(event) {
+        if (isTextEntry(event.target)) return;
+
+        // Held keys auto-repeat; the WASM only needs the first press
+        const isBound = event.repeat
+            ? this.bindings.keyFor(event.code) !== null
+            : this.keyDown(event.code);
+        if (isBound) {
+            event.preventDefault();
+        } else if (PAUSE_KEYS.includes(event.code)) {
+            event.preventDefault();
+            if (!event.repeat) this.togglePause();
+        } else if (RESTART_KEYS.includes(event.code)) {
+            event.preventDefault();
+            if (!event.repeat) this.restart();
+        } else if (PERF_KEYS.includes(event.code)) {
+            event.preventDefault();
+            if (!event.repeat) this.perf.toggle();
+        }
+    }
+
+    onKeyUp(event) {
+        if (isTextEntry(event.target)) return;
+
+        if (this.keyUp(event.code)) {
+            event.preventDefault();
+        }
+    }
+}
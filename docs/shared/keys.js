@@ -0,0 +1,22 @@
+// Key codes shared by the host and its input sources
+
+// Key codes understood by every game.zig: W, A, S, D and Space
+export const KEY_W = 87;
+export const KEY_A = 65;
+export const KEY_S = 83;
+export const KEY_D = 68;
+export const KEY_SPACE = 32;
+
+// Movement keys for an analog direction (x, y in -1..1, y pointing down).
+// Radial dead zone: nothing until the vector leaves the circle, then each
+// axis past the dead zone counts as a direction.
+export function directionKeys(x, y, deadZone) {
+    const keys = [];
+    if (Math.hypot(x, y) <= deadZone) return keys;
+
+    if (x < -deadZone) keys.push(KEY_A);
+    if (x > deadZone) keys.push(KEY_D);
+    if (y < -deadZone) keys.push(KEY_W);
+    if (y > deadZone) keys.push(KEY_S);
+    return keys;
+}
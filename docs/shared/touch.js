@@ -0,0 +1,207 @@
+// On-screen touch controls for mobile browsers
+// A virtual joystick (bottom left) and fire button (bottom right) are laid over
+// the game canvas. Each finger is tracked by pointer id, so moving and shooting
+// work at the same time. Touches become the same key presses as the keyboard.
+
+import { KEY_SPACE, directionKeys } from './keys.js';
+
+// Joystick deflection (fraction of its radius) below which input is ignored
+const JOYSTICK_DEAD_ZONE = 0.3;
+
+const STYLE_ID = 'touch-controls-style';
+
+const STYLES = `
+.touch-wrapper {
+    position: relative;
+    width: 100%;
+    line-height: 0;
+}
+
+.touch-overlay {
+    position: absolute;
+    inset: 0;
+    pointer-events: none;
+    user-select: none;
+    -webkit-user-select: none;
+}
+
+.touch-joystick,
+.touch-fire {
+    position: absolute;
+    bottom: 20px;
+    border-radius: 50%;
+    pointer-events: auto;
+    touch-action: none;
+}
+
+.touch-joystick {
+    left: 20px;
+    width: 120px;
+    height: 120px;
+    background: rgba(255, 255, 255, 0.12);
+    border: 2px solid rgba(255, 255, 255, 0.35);
+}
+
+.touch-knob {
+    position: absolute;
+    left: 35px;
+    top: 35px;
+    width: 50px;
+    height: 50px;
+    border-radius: 50%;
+    background: rgba(255, 255, 255, 0.45);
+}
+
+.touch-fire {
+    right: 20px;
+    width: 90px;
+    height: 90px;
+    background: rgba(255, 60, 60, 0.35);
+    border: 2px solid rgba(255, 120, 120, 0.6);
+}
+
+.touch-fire.active {
+    background: rgba(255, 60, 60, 0.7);
+}
+`;
+
+// Add the overlay stylesheet once per document
+function injectStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+}
+
+export class TouchControls {
+    constructor({ canvas, press, release }) {
+        this.canvas = canvas;
+        this.press = press;
+        this.release = release;
+
+        this.joystickPointer = null;
+        this.joystickKeys = new Set();
+        this.firePointers = new Set();
+    }
+
+    // Only phones and tablets get the overlay
+    static isTouchDevice() {
+        return window.matchMedia('(pointer: coarse)').matches || navigator.maxTouchPoints > 0;
+    }
+
+    // Build the overlay around the canvas and start listening
+    attach() {
+        injectStyles();
+
+        // Wrap the canvas so the overlay can be positioned on top of it
+        this.wrapper = document.createElement('div');
+        this.wrapper.className = 'touch-wrapper';
+        this.canvas.parentNode.insertBefore(this.wrapper, this.canvas);
+        this.wrapper.appendChild(this.canvas);
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'touch-overlay';
+
+        this.joystick = document.createElement('div');
+        this.joystick.className = 'touch-joystick';
+        this.knob = document.createElement('div');
+        this.knob.className = 'touch-knob';
+        this.joystick.appendChild(this.knob);
+
+        this.fireButton = document.createElement('div');
+        this.fireButton.className = 'touch-fire';
+
+        this.overlay.append(this.joystick, this.fireButton);
+        this.wrapper.appendChild(this.overlay);
+
+        this.joystick.addEventListener('pointerdown', (event) => this.onJoystickDown(event));
+        this.joystick.addEventListener('pointermove', (event) => this.onJoystickMove(event));
+        this.joystick.addEventListener('pointerup', (event) => this.onJoystickUp(event));
+        this.joystick.addEventListener('pointercancel', (event) => this.onJoystickUp(event));
+
+        this.fireButton.addEventListener('pointerdown', (event) => this.onFireDown(event));
+        this.fireButton.addEventListener('pointerup', (event) => this.onFireUp(event));
+        this.fireButton.addEventListener('pointercancel', (event) => this.onFireUp(event));
+    }
+
+    // Forget held input (the host has already released it) and recenter the
+    // joystick; fingers still down must be lifted and placed again
+    reset() {
+        this.joystickPointer = null;
+        this.joystickKeys = new Set();
+        this.firePointers.clear();
+        this.knob.style.transform = '';
+        this.fireButton.classList.remove('active');
+    }
+
+    onJoystickDown(event) {
+        if (this.joystickPointer !== null) return;
+
+        event.preventDefault();
+        this.joystickPointer = event.pointerId;
+        this.joystick.setPointerCapture(event.pointerId);
+        this.updateJoystick(event);
+    }
+
+    onJoystickMove(event) {
+        if (event.pointerId !== this.joystickPointer) return;
+
+        event.preventDefault();
+        this.updateJoystick(event);
+    }
+
+    onJoystickUp(event) {
+        if (event.pointerId !== this.joystickPointer) return;
+
+        this.joystickPointer = null;
+        this.knob.style.transform = '';
+        this.setJoystickKeys([]);
+    }
+
+    // Move the knob under the finger and press the matching direction keys
+    updateJoystick(event) {
+        const rect = this.joystick.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let dx = (event.clientX - (rect.left + radius)) / radius;
+        let dy = (event.clientY - (rect.top + radius)) / radius;
+
+        // Keep the knob inside the base
+        const length = Math.hypot(dx, dy);
+        if (length > 1) {
+            dx /= length;
+            dy /= length;
+        }
+
+        this.knob.style.transform = `translate(${dx * radius * 0.6}px, ${dy * radius * 0.6}px)`;
+        this.setJoystickKeys(directionKeys(dx, dy, JOYSTICK_DEAD_ZONE));
+    }
+
+    setJoystickKeys(keys) {
+        const next = new Set(keys);
+        for (const key of next) {
+            if (!this.joystickKeys.has(key)) this.press(key, 'touch:joystick');
+        }
+        for (const key of this.joystickKeys) {
+            if (!next.has(key)) this.release(key, 'touch:joystick');
+        }
+        this.joystickKeys = next;
+    }
+
+    onFireDown(event) {
+        event.preventDefault();
+        this.fireButton.setPointerCapture(event.pointerId);
+        this.firePointers.add(event.pointerId);
+        this.fireButton.classList.add('active');
+        this.press(KEY_SPACE, 'touch:fire');
+    }
+
+    onFireUp(event) {
+        if (!this.firePointers.delete(event.pointerId)) return;
+        if (this.firePointers.size > 0) return;
+
+        this.fireButton.classList.remove('active');
+        this.release(KEY_SPACE, 'touch:fire');
+    }
+}
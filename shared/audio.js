@@ -0,0 +1,205 @@
+// Web Audio sound effects for the shared host
+// Every effect is synthesized with oscillators and noise, so nothing has to be
+// downloaded. Effects are played in response to game events (see events.js);
+// master volume and mute are saved in localStorage.
+
+const STORAGE_KEY = 'zig-wasm-shooter.audio';
+
+export const DEFAULT_AUDIO_SETTINGS = { volume: 0.5, muted: false };
+
+// Play an oscillator sweeping from `from` to `to` Hz over `duration` seconds
+function sweep(context, output, { type, from, to, duration, gain, start = 0 }) {
+    const time = context.currentTime + start;
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(from, time);
+    oscillator.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    oscillator.connect(envelope).connect(output);
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+}
+
+// Play a burst of white noise through a closing low-pass filter
+function noise(context, output, { duration, gain, cutoff }) {
+    const time = context.currentTime;
+    const length = Math.ceil(context.sampleRate * duration);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(cutoff, time);
+    filter.frequency.exponentialRampToValueAtTime(100, time + duration);
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(gain, time);
+    envelope.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    source.connect(filter).connect(envelope).connect(output);
+    source.start(time);
+}
+
+// How the sound for each game event type is made
+const SYNTHS = {
+    shot(context, output) {
+        sweep(context, output, { type: 'square', from: 880, to: 220, duration: 0.08, gain: 0.15 });
+    },
+    enemy_destroyed(context, output) {
+        noise(context, output, { duration: 0.25, gain: 0.5, cutoff: 4000 });
+        sweep(context, output, { type: 'sine', from: 220, to: 50, duration: 0.2, gain: 0.4 });
+    },
+    player_hit(context, output) {
+        sweep(context, output, { type: 'sawtooth', from: 160, to: 40, duration: 0.3, gain: 0.35 });
+        noise(context, output, { duration: 0.15, gain: 0.3, cutoff: 1500 });
+    },
+    game_over(context, output) {
+        [440, 330, 262, 196].forEach((frequency, i) => {
+            sweep(context, output, {
+                type: 'triangle',
+                from: frequency,
+                to: frequency * 0.97,
+                duration: 0.3,
+                gain: 0.35,
+                start: i * 0.22,
+            });
+        });
+    },
+};
+
+export class AudioSystem {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.settings = this.load();
+
+        // Created on the first user gesture; browsers refuse to start audio earlier
+        this.context = null;
+        this.masterGain = null;
+
+        this.unlock = this.unlock.bind(this);
+    }
+
+    // Read saved volume and mute state
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+            if (saved) {
+                const { volume, muted } = JSON.parse(saved);
+                return {
+                    volume: Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 1) : DEFAULT_AUDIO_SETTINGS.volume,
+                    muted: Boolean(muted),
+                };
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable audio settings:', error);
+        }
+        return { ...DEFAULT_AUDIO_SETTINGS };
+    }
+
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.settings));
+            }
+        } catch (error) {
+            console.warn('Could not save audio settings:', error);
+        }
+    }
+
+    // Play the matching effect for every game event that has one
+    listenTo(events) {
+        for (const type of Object.keys(SYNTHS)) {
+            events.subscribe(type, () => this.play(type));
+        }
+    }
+
+    get volume() {
+        return this.settings.volume;
+    }
+
+    get muted() {
+        return this.settings.muted;
+    }
+
+    // Master volume from 0 to 1
+    setVolume(volume) {
+        this.settings.volume = Math.min(Math.max(volume, 0), 1);
+        this.applyVolume();
+        this.save();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = muted;
+        this.applyVolume();
+        this.save();
+    }
+
+    applyVolume() {
+        if (!this.masterGain) return;
+        this.masterGain.gain.value = this.settings.muted ? 0 : this.settings.volume;
+    }
+
+    // Create or resume the AudioContext on the first key press or tap
+    attach(target) {
+        target.addEventListener('keydown', this.unlock);
+        target.addEventListener('pointerdown', this.unlock);
+    }
+
+    unlock() {
+        const AudioContextClass = globalThis.AudioContext ?? globalThis.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!this.context) {
+            this.context = new AudioContextClass();
+            this.masterGain = this.context.createGain();
+            this.masterGain.connect(this.context.destination);
+            this.applyVolume();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+    }
+
+    // Play a sound effect by name (ignored until audio is unlocked, or when muted)
+    play(name) {
+        if (!this.context || this.context.state !== 'running' || this.settings.muted) return;
+
+        const synth = SYNTHS[name];
+        if (synth) {
+            synth(this.context, this.masterGain);
+        }
+    }
+}
+
+// Volume slider and mute checkbox for an AudioSystem
+export function createAudioControls(container, audio) {
+    const volumeLabel = document.createElement('label');
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = '0';
+    volume.max = '100';
+    volume.value = String(Math.round(audio.volume * 100));
+    volumeLabel.append('Volume ', volume);
+
+    const muteLabel = document.createElement('label');
+    const mute = document.createElement('input');
+    mute.type = 'checkbox';
+    mute.checked = audio.muted;
+    muteLabel.append(mute, ' Mute');
+
+    volume.addEventListener('input', () => audio.setVolume(Number(volume.value) / 100));
+    mute.addEventListener('change', () => audio.setMuted(mute.checked));
+
+    container.append(volumeLabel, ' ', muteLabel);
+}
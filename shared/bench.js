@@ -0,0 +1,172 @@
+// Renderer benchmark
+// Runs one approach through a scripted scenario and measures the CPU time of
+// every frame. The scenario is the same for every approach:
+//   - the module is seeded with set_seed() after init()
+//   - fill_entities() keeps `entities` enemies and obstacles on screen
+//   - the player weaves left and right while holding fire, following an input
+//     script generated from the same seed
+//   - each frame advances STEPS_PER_FRAME fixed steps, so every run simulates
+//     the same game time no matter how fast frames are drawn
+// When the player dies the game is restarted the same way. Modules built
+// before set_seed()/fill_entities() existed run with their normal spawns.
+
+import { GameEventChannel } from './events.js';
+import { FIXED_TIMESTEP, loadWasm } from './host.js';
+import { KEY_A, KEY_D, KEY_SPACE } from './keys.js';
+import { InputRecorder, ReplayPlayer } from './replay.js';
+
+export const BENCHMARK_FORMAT = 'zig-wasm-shooter-benchmark';
+export const BENCHMARK_VERSION = 1;
+
+// Fixed steps per rendered frame (60 frames per simulated second)
+export const STEPS_PER_FRAME = 2;
+
+export const DEFAULT_BENCHMARK = {
+    seed: 1,
+    entities: 50,
+    frames: 600,
+    warmupFrames: 60,
+};
+
+// Timings recorded for every frame, in milliseconds
+export const BENCHMARK_METRICS = ['update', 'render', 'total'];
+export const PERCENTILES = [50, 90, 95, 99];
+
+// Steps between the input script's changes of direction (0.5 s)
+const SCRIPT_SEGMENT_STEPS = 60;
+
+// Small seeded PRNG (mulberry32) returning 0..1
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Input script for `steps` simulation steps, as a replay recording: fire is
+// held throughout and every segment picks left, right or no movement
+export function scriptedInput(seed, steps) {
+    const random = seededRandom(seed);
+    const recorder = new InputRecorder({ approach: 'benchmark', timestep: FIXED_TIMESTEP, difficulty: 'normal' });
+    recorder.record(0, 'down', KEY_SPACE);
+
+    let held = null;
+    for (let frame = 0; frame < steps; frame += SCRIPT_SEGMENT_STEPS) {
+        const choice = random();
+        const key = choice < 0.4 ? KEY_A : choice < 0.8 ? KEY_D : null;
+        if (key === held) continue;
+
+        if (held !== null) recorder.record(frame, 'up', held);
+        if (key !== null) recorder.record(frame, 'down', key);
+        held = key;
+    }
+    return recorder.toJSON(steps);
+}
+
+// Mean, max and PERCENTILES (nearest rank) of a list of samples
+export function summarize(samples) {
+    const sorted = Float64Array.from(samples).sort();
+    const summary = {
+        mean: sorted.reduce((sum, value) => sum + value, 0) / Math.max(1, sorted.length),
+        max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+    };
+    for (const p of PERCENTILES) {
+        const rank = Math.ceil((p / 100) * sorted.length) - 1;
+        summary[`p${p}`] = sorted.length > 0 ? sorted[Math.max(0, rank)] : 0;
+    }
+    return summary;
+}
+
+function isGameOver(exports) {
+    if (exports.is_alive) return !exports.is_alive();
+    if (exports.get_player_health) return exports.get_player_health() <= 0;
+    return false;
+}
+
+function nextFrame() {
+    return new Promise((resolve) => requestAnimationFrame(resolve));
+}
+
+// Run the scenario on `renderer` (as created for the shared host).
+// `onProgress(frame, frames)` is called after every frame.
+// Resolves to { frames, restarts, entities, timings } where timings holds a
+// summarize() result per BENCHMARK_METRICS entry.
+export async function runBenchmark(renderer, config = {}, onProgress = () => {}) {
+    const { seed, entities, frames, warmupFrames } = { ...DEFAULT_BENCHMARK, ...config };
+    if (!(frames >= 1)) {
+        throw new Error(`Benchmark needs at least one measured frame, got ${frames}`);
+    }
+
+    if (renderer.init) {
+        await renderer.init();
+    }
+    const events = new GameEventChannel();
+    const instance = await loadWasm(renderer.wasmUrl, { env: { ...events.imports, ...renderer.imports } });
+    if (renderer.attach) {
+        renderer.attach(instance);
+    }
+    const { exports } = instance;
+
+    const canSeed = typeof exports.set_seed === 'function';
+    const canFill = typeof exports.fill_entities === 'function';
+    const totalFrames = warmupFrames + frames;
+    const script = new ReplayPlayer(scriptedInput(seed, totalFrames * STEPS_PER_FRAME));
+    const sendKey = (type, key) => (type === 'down' ? exports.key_down(key) : exports.key_up(key));
+
+    // Start a game; keys the script is holding are pressed again
+    function reset() {
+        exports.init();
+        if (canSeed) exports.set_seed(seed);
+        if (canFill) exports.fill_entities(entities);
+        for (const key of script.heldKeys) {
+            exports.key_down(key);
+        }
+    }
+
+    const samples = Object.fromEntries(BENCHMARK_METRICS.map((metric) => [metric, []]));
+    let restarts = 0;
+    let entitySum = 0;
+    let step = 0;
+
+    reset();
+    for (let frame = 0; frame < totalFrames; frame++) {
+        await nextFrame();
+
+        const frameStart = performance.now();
+        for (let i = 0; i < STEPS_PER_FRAME; i++) {
+            script.applyFrame(step++, sendKey);
+            exports.update(FIXED_TIMESTEP);
+        }
+        const updateEnd = performance.now();
+        renderer.render(exports, 0, null);
+        const renderEnd = performance.now();
+
+        events.clear();
+        if (isGameOver(exports)) {
+            restarts++;
+            reset();
+        }
+        const active = canFill ? exports.fill_entities(entities) : 0;
+        const frameEnd = performance.now();
+
+        if (frame >= warmupFrames) {
+            samples.update.push(updateEnd - frameStart);
+            samples.render.push(renderEnd - updateEnd);
+            samples.total.push(frameEnd - frameStart);
+            entitySum += active;
+        }
+        onProgress(frame + 1, totalFrames);
+    }
+
+    return {
+        frames,
+        restarts,
+        // Mean active entities, or null if the module can't be filled
+        entities: canFill ? entitySum / frames : null,
+        timings: Object.fromEntries(BENCHMARK_METRICS.map((metric) => [metric, summarize(samples[metric])])),
+    };
+}
@@ -0,0 +1,214 @@
+// Remappable key bindings
+// Players bind physical keys (KeyboardEvent.code, so layouts don't matter) to
+// actions; the host translates them to the logical key codes every game.zig
+// expects. Bindings persist in localStorage.
+
+import { KEY_A, KEY_D, KEY_S, KEY_SPACE, KEY_W } from './keys.js';
+
+const STORAGE_KEY = 'zig-wasm-shooter.keybindings';
+
+// Physical keys each action may be bound to
+export const SLOTS_PER_ACTION = 2;
+
+// Bindable actions and the key code the WASM expects for each
+export const ACTIONS = [
+    { id: 'up', label: 'Move up', key: KEY_W },
+    { id: 'left', label: 'Move left', key: KEY_A },
+    { id: 'down', label: 'Move down', key: KEY_S },
+    { id: 'right', label: 'Move right', key: KEY_D },
+    { id: 'fire', label: 'Shoot', key: KEY_SPACE },
+];
+
+export const DEFAULT_BINDINGS = {
+    up: ['KeyW', 'ArrowUp'],
+    left: ['KeyA', 'ArrowLeft'],
+    down: ['KeyS', 'ArrowDown'],
+    right: ['KeyD', 'ArrowRight'],
+    fire: ['Space', null],
+};
+
+// Short display name for a KeyboardEvent.code
+export function keyLabel(code) {
+    if (!code) return '—';
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+
+    const arrows = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    return arrows[code] ?? code;
+}
+
+// Copy bindings, filling gaps with nulls so every action has every slot
+function normalize(bindings) {
+    const result = {};
+    for (const { id } of ACTIONS) {
+        const slots = Array.isArray(bindings[id]) ? bindings[id] : [];
+        result[id] = Array.from({ length: SLOTS_PER_ACTION }, (_, i) =>
+            typeof slots[i] === 'string' ? slots[i] : null);
+    }
+    return result;
+}
+
+export class KeyBindings {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.bindings = this.load();
+    }
+
+    // Read saved bindings, falling back to the defaults
+    load() {
+        try {
+            const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+            if (saved) return normalize(JSON.parse(saved));
+        } catch (error) {
+            console.warn('Ignoring unreadable key bindings:', error);
+        }
+        return normalize(DEFAULT_BINDINGS);
+    }
+
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+            }
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    // Physical key in a slot of an action (or null)
+    get(actionId, slot) {
+        return this.bindings[actionId][slot];
+    }
+
+    // Bind a physical key (or null to clear) and persist
+    set(actionId, slot, code) {
+        this.bindings[actionId][slot] = code;
+        this.save();
+    }
+
+    reset() {
+        this.bindings = normalize(DEFAULT_BINDINGS);
+        this.save();
+    }
+
+    // The first action bound to a physical key, or null
+    actionFor(code) {
+        return ACTIONS.find(({ id }) => this.bindings[id].includes(code)) ?? null;
+    }
+
+    // Logical key code the WASM expects for a physical key, or null if unbound
+    keyFor(code) {
+        const action = this.actionFor(code);
+        return action ? action.key : null;
+    }
+
+    // Physical keys bound to more than one action: code -> [action ids]
+    conflicts() {
+        const owners = new Map();
+        for (const { id } of ACTIONS) {
+            for (const code of new Set(this.bindings[id])) {
+                if (!code) continue;
+                owners.set(code, [...(owners.get(code) ?? []), id]);
+            }
+        }
+
+        return new Map([...owners].filter(([, ids]) => ids.length > 1));
+    }
+}
+
+// Build the controls settings panel inside `container`.
+// Clicking a slot waits for the next key press; Escape cancels, Backspace
+// clears the slot. Keys bound to several actions are highlighted.
+export function createBindingsPanel(container, bindings) {
+    let capturing = null; // { actionId, slot, button }
+
+    const table = document.createElement('table');
+    table.className = 'bindings';
+    const message = document.createElement('p');
+    message.className = 'bindings-message';
+    const resetButton = document.createElement('button');
+    resetButton.type = 'button';
+    resetButton.textContent = 'Reset to defaults';
+
+    const buttons = [];
+
+    for (const action of ACTIONS) {
+        const row = document.createElement('tr');
+        const label = document.createElement('th');
+        label.textContent = action.label;
+        row.appendChild(label);
+
+        for (let slot = 0; slot < SLOTS_PER_ACTION; slot++) {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.addEventListener('click', () => startCapture(action.id, slot, button));
+            buttons.push({ actionId: action.id, slot, button });
+            cell.appendChild(button);
+            row.appendChild(cell);
+        }
+
+        table.appendChild(row);
+    }
+
+    // Refresh labels and conflict highlighting
+    function refresh() {
+        const conflicts = bindings.conflicts();
+
+        for (const { actionId, slot, button } of buttons) {
+            const code = bindings.get(actionId, slot);
+            button.textContent = keyLabel(code);
+            button.classList.toggle('conflict', conflicts.has(code));
+        }
+
+        if (conflicts.size > 0) {
+            const names = (ids) => ids.map((id) => ACTIONS.find((a) => a.id === id).label).join(' and ');
+            message.textContent = [...conflicts]
+                .map(([code, ids]) => `${keyLabel(code)} is bound to ${names(ids)}`)
+                .join('. ') + '. Only the first action will respond.';
+            message.classList.add('error');
+        } else {
+            message.textContent = 'Click a key to change it.';
+            message.classList.remove('error');
+        }
+    }
+
+    function startCapture(actionId, slot, button) {
+        stopCapture();
+        capturing = { actionId, slot, button };
+        button.textContent = 'Press a key…';
+        button.classList.add('capturing');
+        window.addEventListener('keydown', onCaptureKey, true);
+    }
+
+    function stopCapture() {
+        if (!capturing) return;
+        capturing.button.classList.remove('capturing');
+        capturing = null;
+        window.removeEventListener('keydown', onCaptureKey, true);
+        refresh();
+    }
+
+    // Runs before the host's listener and hides the key from the game
+    function onCaptureKey(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const { actionId, slot } = capturing;
+        if (event.code === 'Backspace' || event.code === 'Delete') {
+            bindings.set(actionId, slot, null);
+        } else if (event.code !== 'Escape') {
+            bindings.set(actionId, slot, event.code);
+        }
+        stopCapture();
+    }
+
+    resetButton.addEventListener('click', () => {
+        stopCapture();
+        bindings.reset();
+        refresh();
+    });
+
+    container.append(table, message, resetButton);
+    refresh();
+}
@@ -0,0 +1,25 @@
+// Difficulty levels understood by the game modules
+// The host passes the index of the chosen level to set_difficulty() after each
+// init(); modules without that export always play at normal difficulty.
+
+export const DIFFICULTIES = [
+    { id: 'easy', label: 'Easy' },
+    { id: 'normal', label: 'Normal' },
+    { id: 'hard', label: 'Hard' },
+];
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Level passed to set_difficulty() for a difficulty id
+export function difficultyLevel(id) {
+    const level = DIFFICULTIES.findIndex((difficulty) => difficulty.id === id);
+    if (level < 0) {
+        throw new Error(`Unknown difficulty: ${id}`);
+    }
+    return level;
+}
+
+// Display name for a difficulty id
+export function difficultyLabel(id) {
+    return DIFFICULTIES[difficultyLevel(id)].label;
+}
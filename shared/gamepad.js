@@ -0,0 +1,112 @@
+// Gamepad API support for the shared host
+// Polls navigator.getGamepads() once per frame and turns the left stick,
+// D-pad and fire buttons into the same key codes the keyboard produces.
+
+import { KEY_A, KEY_D, KEY_S, KEY_SPACE, KEY_W, directionKeys } from './keys.js';
+
+// Stick deflection (0..1) below which input is ignored
+export const DEFAULT_DEAD_ZONE = 0.25;
+
+// Button indices in the "standard" gamepad mapping
+const BUTTON_A = 0;
+const BUTTON_RIGHT_TRIGGER = 7;
+const DPAD_UP = 12;
+const DPAD_DOWN = 13;
+const DPAD_LEFT = 14;
+const DPAD_RIGHT = 15;
+
+const FIRE_BUTTONS = [BUTTON_A, BUTTON_RIGHT_TRIGGER];
+
+// Is a button held (analog triggers count once they pass half travel)?
+function isPressed(gamepad, index) {
+    const button = gamepad.buttons[index];
+    return Boolean(button) && (button.pressed || button.value > 0.5);
+}
+
+export class GamepadInput {
+    constructor({ deadZone = DEFAULT_DEAD_ZONE, onConnectionChange = () => {} } = {}) {
+        this.deadZone = deadZone;
+        this.onConnectionChange = onConnectionChange;
+
+        // Keys each gamepad (by index) held after the previous poll
+        this.previousKeys = new Map();
+
+        this.onConnected = this.onConnected.bind(this);
+        this.onDisconnected = this.onDisconnected.bind(this);
+    }
+
+    // Whether this browser exposes the Gamepad API at all
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    attach(target) {
+        target.addEventListener('gamepadconnected', this.onConnected);
+        target.addEventListener('gamepaddisconnected', this.onDisconnected);
+    }
+
+    onConnected(event) {
+        this.onConnectionChange(`Gamepad connected: ${event.gamepad.id}`);
+    }
+
+    onDisconnected(event) {
+        this.onConnectionChange(`Gamepad disconnected: ${event.gamepad.id}`);
+    }
+
+    // Logical keys one gamepad is currently asking for
+    keysFor(gamepad) {
+        const x = gamepad.axes[0] ?? 0;
+        const y = gamepad.axes[1] ?? 0;
+        const keys = new Set(directionKeys(x, y, this.deadZone));
+
+        if (isPressed(gamepad, DPAD_LEFT)) keys.add(KEY_A);
+        if (isPressed(gamepad, DPAD_RIGHT)) keys.add(KEY_D);
+        if (isPressed(gamepad, DPAD_UP)) keys.add(KEY_W);
+        if (isPressed(gamepad, DPAD_DOWN)) keys.add(KEY_S);
+
+        if (FIRE_BUTTONS.some((index) => isPressed(gamepad, index))) {
+            keys.add(KEY_SPACE);
+        }
+
+        return keys;
+    }
+
+    // Forget which keys each gamepad held; buttons still down afterwards
+    // are pressed again on the next poll
+    reset() {
+        this.previousKeys.clear();
+    }
+
+    // Read every connected gamepad and report changes through
+    // press(key, source) / release(key, source)
+    poll(press, release) {
+        const gamepads = navigator.getGamepads();
+        const seen = new Set();
+
+        for (const gamepad of gamepads) {
+            if (!gamepad || !gamepad.connected) continue;
+            seen.add(gamepad.index);
+
+            const source = `gamepad:${gamepad.index}`;
+            const keys = this.keysFor(gamepad);
+            const previous = this.previousKeys.get(gamepad.index) ?? new Set();
+
+            for (const key of keys) {
+                if (!previous.has(key)) press(key, source);
+            }
+            for (const key of previous) {
+                if (!keys.has(key)) release(key, source);
+            }
+            this.previousKeys.set(gamepad.index, keys);
+        }
+
+        // Release everything held by gamepads that were unplugged
+        for (const [index, keys] of this.previousKeys) {
+            if (seen.has(index)) continue;
+            for (const key of keys) {
+                release(key, `gamepad:${index}`);
+            }
+            this.previousKeys.delete(index);
+        }
+    }
+}
@@ -0,0 +1,286 @@
+// Local high-score tables
+// The top ten scores are kept per approach and difficulty in localStorage.
+// Tables can be exported as JSON and imported again; imports are merged with
+// the scores already stored, so several players' files can be combined.
+
+import { DIFFICULTIES, difficultyLabel } from './difficulty.js';
+import { downloadJSON } from './replay.js';
+
+const STORAGE_KEY = 'zig-wasm-shooter.highscores';
+const NAME_STORAGE_KEY = 'zig-wasm-shooter.playername';
+
+export const HIGH_SCORE_FORMAT = 'zig-wasm-shooter-highscores';
+export const HIGH_SCORE_VERSION = 1;
+
+export const MAX_ENTRIES = 10;
+export const MAX_NAME_LENGTH = 12;
+
+// Tables are stored under "<approach>/<difficulty>"
+function tableKey(approach, difficulty) {
+    return `${approach}/${difficulty}`;
+}
+
+// Whether `key` names a table ("<approach>/<difficulty>"). Keys come from
+// storage and imported files, so anything else (e.g. "__proto__") is dropped.
+function isTableKey(key) {
+    const [approach, difficulty, ...rest] = key.split('/');
+    return rest.length === 0 &&
+        /^\w+$/.test(approach) &&
+        DIFFICULTIES.some(({ id }) => id === difficulty);
+}
+
+// Highest score first; ties go to whoever got there first
+function compareEntries(a, b) {
+    return b.score - a.score || a.date.localeCompare(b.date);
+}
+
+function isValidEntry(entry) {
+    return Boolean(entry) &&
+        typeof entry.name === 'string' &&
+        Number.isInteger(entry.score) &&
+        typeof entry.date === 'string';
+}
+
+// Trim a player name to something that fits the table
+export function cleanName(name) {
+    const trimmed = String(name).trim().slice(0, MAX_NAME_LENGTH);
+    return trimmed || 'Anonymous';
+}
+
+// Table rows as short text lines ("1. ALICE  120") for overlays
+export function formatHighScores(entries, count = MAX_ENTRIES) {
+    return entries.slice(0, count).map((entry, i) => `${i + 1}. ${entry.name}  ${entry.score}`);
+}
+
+export class HighScoreTable {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.tables = this.load();
+    }
+
+    // Read saved tables, dropping anything malformed
+    load() {
+        const tables = Object.create(null);
+        try {
+            const saved = this.storage && this.storage.getItem(STORAGE_KEY);
+            if (saved) {
+                for (const [key, entries] of Object.entries(JSON.parse(saved))) {
+                    if (isTableKey(key) && Array.isArray(entries)) {
+                        tables[key] = entries.filter(isValidEntry).sort(compareEntries).slice(0, MAX_ENTRIES);
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring unreadable high scores:', error);
+        }
+        return tables;
+    }
+
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.tables));
+            }
+        } catch (error) {
+            console.warn('Could not save high scores:', error);
+        }
+    }
+
+    // Entries of one table, best first
+    entries(approach, difficulty) {
+        return this.tables[tableKey(approach, difficulty)] ?? [];
+    }
+
+    // Whether `score` would make it into the table (only positive scores do)
+    qualifies(approach, difficulty, score) {
+        if (score <= 0) return false;
+
+        const entries = this.entries(approach, difficulty);
+        return entries.length < MAX_ENTRIES || score > entries[entries.length - 1].score;
+    }
+
+    // Add a score and persist. Returns its rank (0-based), or -1 if it
+    // didn't make the table.
+    add(approach, difficulty, name, score) {
+        const entry = { name: cleanName(name), score, date: new Date().toISOString() };
+        const key = tableKey(approach, difficulty);
+        const entries = [...this.entries(approach, difficulty), entry].sort(compareEntries).slice(0, MAX_ENTRIES);
+
+        this.tables[key] = entries;
+        this.save();
+        return entries.indexOf(entry);
+    }
+
+    // Serializable copy of every table
+    toJSON() {
+        return {
+            format: HIGH_SCORE_FORMAT,
+            version: HIGH_SCORE_VERSION,
+            exportedAt: new Date().toISOString(),
+            tables: this.tables,
+        };
+    }
+
+    // Merge an exported file (object or JSON text) into the stored tables.
+    // Entries already present are skipped. Returns how many were added.
+    merge(data) {
+        const imported = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!imported || imported.format !== HIGH_SCORE_FORMAT) {
+            throw new Error('Not a zig-wasm-shooter high-score file');
+        }
+        if (imported.version !== HIGH_SCORE_VERSION) {
+            throw new Error(`Unsupported high-score version ${imported.version}`);
+        }
+        if (!imported.tables || typeof imported.tables !== 'object') {
+            throw new Error('High-score file has no tables');
+        }
+
+        let added = 0;
+        for (const [key, entries] of Object.entries(imported.tables)) {
+            if (!isTableKey(key) || !Array.isArray(entries)) continue;
+
+            const merged = [...(this.tables[key] ?? [])];
+            for (const { name, score, date } of entries.filter(isValidEntry)) {
+                // Stored names are already cleaned, so compare the cleaned form
+                const entry = { name: cleanName(name), score, date };
+                const isDuplicate = merged.some((existing) =>
+                    existing.name === entry.name && existing.score === entry.score && existing.date === entry.date);
+                if (!isDuplicate) {
+                    merged.push(entry);
+                    added++;
+                }
+            }
+            this.tables[key] = merged.sort(compareEntries).slice(0, MAX_ENTRIES);
+        }
+
+        this.save();
+        return added;
+    }
+
+    // Name last entered on this browser, to prefill the next entry
+    get lastName() {
+        try {
+            return (this.storage && this.storage.getItem(NAME_STORAGE_KEY)) || '';
+        } catch {
+            return '';
+        }
+    }
+
+    set lastName(name) {
+        try {
+            if (this.storage) this.storage.setItem(NAME_STORAGE_KEY, name);
+        } catch (error) {
+            console.warn('Could not save player name:', error);
+        }
+    }
+}
+
+// Build the high-score panel for a host inside `container`: the table for the
+// current approach and difficulty, name entry after a qualifying game over,
+// and export/import buttons.
+export function createHighScorePanel(container, host, table) {
+    const heading = document.createElement('h3');
+    const list = document.createElement('ol');
+    list.className = 'highscores';
+    const empty = document.createElement('p');
+    empty.textContent = 'No scores yet.';
+
+    // Name entry, shown only when a finished game made the table
+    const form = document.createElement('form');
+    form.className = 'highscore-entry';
+    form.hidden = true;
+    const label = document.createElement('label');
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = MAX_NAME_LENGTH;
+    nameInput.required = true;
+    const saveButton = document.createElement('button');
+    saveButton.type = 'submit';
+    saveButton.textContent = 'Save score';
+    label.append('New high score! Your name: ', nameInput);
+    form.append(label, ' ', saveButton);
+
+    const exportButton = document.createElement('button');
+    exportButton.type = 'button';
+    exportButton.textContent = 'Export scores';
+    const importLabel = document.createElement('label');
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.json,application/json';
+    importLabel.append('Import scores: ', importInput);
+    const actions = document.createElement('div');
+    actions.className = 'highscore-actions';
+    actions.append(exportButton, ' ', importLabel);
+
+    // Score waiting for a name, or null
+    let pendingScore = null;
+
+    function refresh() {
+        const approach = host.renderer.name;
+        heading.textContent = `High scores - ${approach}, ${difficultyLabel(host.difficulty)}`;
+
+        const entries = table.entries(approach, host.difficulty);
+        list.replaceChildren(...entries.map((entry) => {
+            const item = document.createElement('li');
+            item.textContent = `${entry.name} - ${entry.score}`;
+            item.title = new Date(entry.date).toLocaleString();
+            return item;
+        }));
+        list.hidden = entries.length === 0;
+        empty.hidden = entries.length > 0;
+    }
+
+    function hideForm() {
+        pendingScore = null;
+        form.hidden = true;
+    }
+
+    host.addEventListener('gameover', (event) => {
+        const { score, replay } = event.detail;
+        // Replays re-run old games; their scores aren't new results
+        if (replay || !table.qualifies(host.renderer.name, host.difficulty, score)) return;
+
+        pendingScore = score;
+        nameInput.value = table.lastName;
+        form.hidden = false;
+        nameInput.focus();
+        nameInput.select();
+    });
+
+    host.addEventListener('newgame', hideForm);
+    host.addEventListener('difficultychange', refresh);
+
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        if (pendingScore === null) return;
+
+        table.lastName = nameInput.value.trim();
+        const rank = table.add(host.renderer.name, host.difficulty, nameInput.value, pendingScore);
+        hideForm();
+        nameInput.blur();
+        refresh();
+        host.setStatus(rank >= 0 ? `Score saved at #${rank + 1}.` : 'Score saved.');
+    });
+
+    exportButton.addEventListener('click', () => {
+        downloadJSON(`highscores-${Date.now()}.json`, table);
+    });
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+
+        try {
+            const added = table.merge(await file.text());
+            refresh();
+            host.setStatus(`Imported ${added} high score${added === 1 ? '' : 's'}.`);
+        } catch (error) {
+            host.setStatus(`High-score import error: ${error.message}`, true);
+        }
+        importInput.value = '';
+    });
+
+    container.append(heading, list, empty, form, actions);
+    refresh();
+}
@@ -0,0 +1,117 @@
+// Full-screen message overlays (pause, game over) drawn over the game
+// An overlay is a plain object: { title, lines = [], tint = [r, g, b, a] }.
+// Lines should stay short (about 40 characters) to fit the 800px screen.
+// Canvas2D draws it with real text. The WebGL and WebGPU renderers can only
+// draw colored shapes, so drawOverlay() spells it out in rectangles using a
+// small 5x7 block font.
+
+// Default dimming behind the overlay text
+export const OVERLAY_TINT = [0, 0, 0, 0.6];
+
+export const PAUSE_OVERLAY = {
+    title: 'PAUSED',
+    lines: ['Press P or Esc to resume'],
+};
+
+// Shown before the first game, with the best scores so far
+export function titleOverlay(highScoreLines = []) {
+    const scores = highScoreLines.length > 0 ? ['High scores:', ...highScoreLines] : [];
+    return {
+        title: 'WASM SHOOTER',
+        lines: [...scores, 'Press a game key or click to start'],
+    };
+}
+
+// Shown once the player has died
+export function gameOverOverlay(score, highScoreLines = []) {
+    const scores = highScoreLines.length > 0 ? ['High scores:', ...highScoreLines] : [];
+    return {
+        title: 'GAME OVER',
+        lines: [`Final Score: ${score}`, ...scores, 'Press R or click to play again'],
+        tint: [1, 0, 0, 0.5],
+    };
+}
+
+const GLYPH_WIDTH = 5;
+const GLYPH_HEIGHT = 7;
+
+// Each glyph is seven 5-bit rows written as two hex digits per row
+const GLYPHS = {
+    'A': '0E11111F111111', 'B': '1E11111E11111E', 'C': '0E11101010110E',
+    'D': '1E11111111111E', 'E': '1F10101E10101F', 'F': '1F10101E101010',
+    'G': '0E11101711110F', 'H': '1111111F111111', 'I': '0E04040404040E',
+    'J': '0702020202120C', 'K': '11121418141211', 'L': '1010101010101F',
+    'M': '111B1515111111', 'N': '11111915131111', 'O': '0E11111111110E',
+    'P': '1E11111E101010', 'Q': '0E11111115120D', 'R': '1E11111E141211',
+    'S': '0F10100E01011E', 'T': '1F040404040404', 'U': '1111111111110E',
+    'V': '11111111110A04', 'W': '1111111515150A', 'X': '11110A040A1111',
+    'Y': '11110A04040404', 'Z': '1F01020408101F',
+    '0': '0E11131519110E', '1': '040C040404040E', '2': '0E11010204081F',
+    '3': '1F02040201110E', '4': '02060A121F0202', '5': '1F101E0101110E',
+    '6': '0608101E11110E', '7': '1F010204080808', '8': '0E11110E11110E',
+    '9': '0E11110F01020C',
+    ':': '000C0C000C0C00', '.': '00000000000C0C', ',': '000000000C0408',
+    '!': '04040404040004', '?': '0E110102040004', '-': '0000001F000000',
+    '/': '01010204081010', '(': '02040808080402', ')': '08040202020408',
+    "'": '0C040800000000', ' ': '00000000000000',
+};
+
+// Rows of a glyph as bit masks (unknown characters draw as '?')
+function glyphRows(char) {
+    const hex = GLYPHS[char] ?? GLYPHS['?'];
+    const rows = [];
+    for (let i = 0; i < GLYPH_HEIGHT; i++) {
+        rows.push(Number.parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+    }
+    return rows;
+}
+
+// Width in pixels of `text` drawn at `scale`
+function measureText(text, scale) {
+    return text.length > 0 ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+// Draw block-font text centered on (centerX, top) through
+// fillRect(x, y, w, h, r, g, b, a). Runs of lit pixels on a row become one rect.
+function drawText(fillRect, text, centerX, top, scale, color) {
+    const upper = text.toUpperCase();
+    let x = centerX - measureText(upper, scale) / 2;
+
+    for (const char of upper) {
+        const rows = glyphRows(char);
+        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+            let runStart = -1;
+            for (let col = 0; col <= GLYPH_WIDTH; col++) {
+                const lit = col < GLYPH_WIDTH && (rows[row] & (1 << (GLYPH_WIDTH - 1 - col))) !== 0;
+                if (lit && runStart < 0) {
+                    runStart = col;
+                } else if (!lit && runStart >= 0) {
+                    fillRect(x + runStart * scale, top + row * scale,
+                        (col - runStart) * scale, scale, ...color);
+                    runStart = -1;
+                }
+            }
+        }
+        x += (GLYPH_WIDTH + 1) * scale;
+    }
+}
+
+// Draw an overlay covering a width x height screen with rectangles only
+export function drawOverlay(fillRect, overlay, width, height) {
+    const { title, lines = [], tint = OVERLAY_TINT } = overlay;
+    fillRect(0, 0, width, height, ...tint);
+
+    const titleScale = 6;
+    const lineScale = 3;
+    const lineSpacing = (GLYPH_HEIGHT + 4) * lineScale;
+    const blockHeight = GLYPH_HEIGHT * titleScale + 20 + lines.length * lineSpacing;
+    let y = (height - blockHeight) / 2;
+
+    drawText(fillRect, title, width / 2, y, titleScale, [1, 1, 1, 1]);
+    y += GLYPH_HEIGHT * titleScale + 20;
+
+    for (const line of lines) {
+        drawText(fillRect, line, width / 2, y, lineScale, [0.85, 0.85, 0.85, 1]);
+        y += lineSpacing;
+    }
+}
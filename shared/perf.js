@@ -0,0 +1,210 @@
+// Performance overlay for the shared host
+// A panel in the corner of the page, toggled with F2, showing frames per
+// second, a graph of recent frame times, the CPU time spent in update() and in
+// rendering, the draw calls of the last frame, active entities and bullets and
+// the size of WASM memory. Whether it is shown is saved in localStorage.
+
+const STORAGE_KEY = 'zig-wasm-shooter.perf';
+
+// Frames shown in the graph, one pixel column each
+const GRAPH_FRAMES = 120;
+const GRAPH_HEIGHT = 50;
+
+// Frame time at the top of the graph, and the reference lines drawn on it
+const GRAPH_MAX_MS = 50;
+const GRAPH_LINES_MS = [1000 / 60, 1000 / 30];
+
+const GRAPH_COLORS = {
+    update: '#33aaff',
+    render: '#00ff88',
+    other: '#555555',
+    line: 'rgba(255, 255, 255, 0.3)',
+};
+
+// How often the text is refreshed; figures are averaged over this period
+const TEXT_INTERVAL_MS = 250;
+
+const STYLE_ID = 'perf-overlay-style';
+
+const STYLES = `
+.perf-overlay {
+    position: fixed;
+    top: 10px;
+    left: 10px;
+    z-index: 1000;
+    padding: 6px 8px;
+    background: rgba(0, 0, 0, 0.8);
+    border: 1px solid #444;
+    border-radius: 4px;
+    color: #ffffff;
+    font: 12px/1.4 monospace;
+    white-space: pre;
+    pointer-events: none;
+}
+
+.perf-overlay canvas {
+    display: block;
+    margin-top: 4px;
+}
+`;
+
+// Add the overlay stylesheet once per document
+function injectStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+    return `${Math.round(bytes / 1024)} KiB`;
+}
+
+// Count from an optional export (each approach exposes different ones)
+function exportedCount(exports, name) {
+    return typeof exports[name] === 'function' ? String(exports[name]()) : 'n/a';
+}
+
+export class PerfOverlay {
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.visible = this.load();
+
+        // Last GRAPH_FRAMES frames as { frameTime, updateTime, renderTime }
+        this.history = [];
+
+        // Totals since the text was last refreshed
+        this.periodStart = null;
+        this.periodFrames = 0;
+        this.periodUpdate = 0;
+        this.periodRender = 0;
+
+        this.element = null;
+    }
+
+    // Read whether the overlay was left open
+    load() {
+        try {
+            return Boolean(this.storage && this.storage.getItem(STORAGE_KEY) === 'shown');
+        } catch (error) {
+            console.warn('Ignoring unreadable performance overlay setting:', error);
+            return false;
+        }
+    }
+
+    save() {
+        try {
+            if (this.storage) {
+                this.storage.setItem(STORAGE_KEY, this.visible ? 'shown' : 'hidden');
+            }
+        } catch (error) {
+            console.warn('Could not save performance overlay setting:', error);
+        }
+    }
+
+    // Build the (possibly hidden) panel
+    attach(parent = document.body) {
+        injectStyles();
+
+        this.element = document.createElement('div');
+        this.element.className = 'perf-overlay';
+        this.element.hidden = !this.visible;
+
+        this.text = document.createElement('div');
+        this.text.textContent = 'Measuring...';
+
+        this.graph = document.createElement('canvas');
+        this.graph.width = GRAPH_FRAMES;
+        this.graph.height = GRAPH_HEIGHT;
+        this.graphContext = this.graph.getContext('2d');
+
+        this.element.append(this.text, this.graph);
+        parent.appendChild(this.element);
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        this.save();
+        if (this.element) {
+            this.element.hidden = !this.visible;
+        }
+    }
+
+    // Record one frame: `sample` holds the milliseconds since the previous
+    // frame (frameTime), in update() (updateTime) and in rendering
+    // (renderTime), plus the renderer's drawCalls (null if it doesn't count
+    // them). `exports` are read for the entity, bullet and memory figures.
+    frame(sample, exports, now = performance.now()) {
+        this.history.push(sample);
+        if (this.history.length > GRAPH_FRAMES) {
+            this.history.shift();
+        }
+
+        if (this.periodStart === null) {
+            this.periodStart = now;
+        }
+        this.periodFrames++;
+        this.periodUpdate += sample.updateTime;
+        this.periodRender += sample.renderTime;
+
+        if (!this.visible || !this.element) return;
+
+        this.drawGraph();
+        if (now - this.periodStart >= TEXT_INTERVAL_MS) {
+            this.updateText(sample, exports, now);
+        }
+    }
+
+    updateText(sample, exports, now) {
+        const elapsed = now - this.periodStart;
+        const fps = (this.periodFrames * 1000) / elapsed;
+        const frameTime = elapsed / this.periodFrames;
+        const updateTime = this.periodUpdate / this.periodFrames;
+        const renderTime = this.periodRender / this.periodFrames;
+
+        this.text.textContent = [
+            `FPS ${fps.toFixed(0)} (${frameTime.toFixed(1)} ms)`,
+            `update ${updateTime.toFixed(2)} ms  render ${renderTime.toFixed(2)} ms`,
+            `draw calls ${sample.drawCalls ?? 'n/a'}`,
+            `entities ${exportedCount(exports, 'get_entity_count')}  bullets ${exportedCount(exports, 'get_bullet_count')}`,
+            `WASM memory ${exports.memory ? formatBytes(exports.memory.buffer.byteLength) : 'n/a'}`,
+        ].join('\n');
+
+        this.periodStart = now;
+        this.periodFrames = 0;
+        this.periodUpdate = 0;
+        this.periodRender = 0;
+    }
+
+    // One column per frame, newest on the right: the whole frame time in
+    // gray with the update and render time stacked in color at the bottom
+    drawGraph() {
+        const ctx = this.graphContext;
+        const scale = GRAPH_HEIGHT / GRAPH_MAX_MS;
+        ctx.clearRect(0, 0, GRAPH_FRAMES, GRAPH_HEIGHT);
+
+        const offset = GRAPH_FRAMES - this.history.length;
+        this.history.forEach(({ frameTime, updateTime, renderTime }, i) => {
+            const x = offset + i;
+            let y = GRAPH_HEIGHT;
+            for (const [ms, color] of [
+                [updateTime, GRAPH_COLORS.update],
+                [renderTime, GRAPH_COLORS.render],
+                [frameTime - updateTime - renderTime, GRAPH_COLORS.other],
+            ]) {
+                const height = Math.min(Math.max(ms, 0) * scale, y);
+                ctx.fillStyle = color;
+                ctx.fillRect(x, y - height, 1, height);
+                y -= height;
+            }
+        });
+
+        ctx.fillStyle = GRAPH_COLORS.line;
+        for (const ms of GRAPH_LINES_MS) {
+            ctx.fillRect(0, Math.round(GRAPH_HEIGHT - ms * scale), GRAPH_FRAMES, 1);
+        }
+    }
+}
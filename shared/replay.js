@@ -0,0 +1,146 @@
+// Input recording and deterministic replay
+// Every key_down/key_up reaching the WASM is stored with the simulation frame
+// it was applied on. Because the simulation runs on a fixed timestep and each
+// game.zig seeds its RNG in init(), feeding the same events into a fresh init()
+// reproduces the session exactly.
+
+import { DIFFICULTIES } from './difficulty.js';
+
+export const REPLAY_FORMAT = 'zig-wasm-shooter-replay';
+export const REPLAY_VERSION = 1;
+
+// Collects input events for one session
+export class InputRecorder {
+    constructor({ approach, timestep, difficulty }) {
+        this.approach = approach;
+        this.timestep = timestep;
+        this.difficulty = difficulty;
+        this.events = [];
+    }
+
+    // Record a key event applied before simulation step `frame`
+    record(frame, type, key) {
+        this.events.push({ frame, type, key });
+    }
+
+    // Serializable recording covering `frames` simulation steps
+    toJSON(frames) {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            approach: this.approach,
+            timestep: this.timestep,
+            difficulty: this.difficulty,
+            frames,
+            createdAt: new Date().toISOString(),
+            events: this.events.slice(),
+        };
+    }
+}
+
+// Validate a parsed recording (object or JSON text) and return it
+export function parseReplay(data) {
+    const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a zig-wasm-shooter replay file');
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version ${replay.version}`);
+    }
+    if (!Number.isInteger(replay.frames) || !Array.isArray(replay.events)) {
+        throw new Error('Replay is missing frames or events');
+    }
+    if (!Number.isFinite(replay.timestep) || replay.timestep <= 0) {
+        throw new Error('Replay has an invalid timestep');
+    }
+    // Recordings made before difficulty levels existed omit it (normal)
+    if ('difficulty' in replay && !DIFFICULTIES.some(({ id }) => id === replay.difficulty)) {
+        throw new Error('Replay has an invalid difficulty');
+    }
+    // Keys go to key_down()/key_up(), which take a u8
+    for (const event of replay.events) {
+        if (!event ||
+            !Number.isInteger(event.frame) ||
+            (event.type !== 'down' && event.type !== 'up') ||
+            !Number.isInteger(event.key) || event.key < 0 || event.key > 255) {
+            throw new Error('Replay contains a malformed event');
+        }
+    }
+
+    return replay;
+}
+
+// Feeds a recording back one simulation step at a time
+export class ReplayPlayer {
+    constructor(replay) {
+        this.replay = replay;
+        this.nextEvent = 0;
+        this.heldKeys = new Set();
+    }
+
+    // Apply every event recorded for `frame` through `send(type, key)`
+    applyFrame(frame, send) {
+        const { events } = this.replay;
+        while (this.nextEvent < events.length && events[this.nextEvent].frame <= frame) {
+            const { type, key } = events[this.nextEvent++];
+            if (type === 'down') {
+                this.heldKeys.add(key);
+            } else {
+                this.heldKeys.delete(key);
+            }
+            send(type, key);
+        }
+    }
+
+    // Whether `frame` steps cover the whole recording
+    isFinished(frame) {
+        return frame >= this.replay.frames;
+    }
+
+    // Release keys the recording left held so live play starts clean
+    releaseHeldKeys(send) {
+        for (const key of this.heldKeys) {
+            send('up', key);
+        }
+        this.heldKeys.clear();
+    }
+}
+
+// Offer JSON data to the user as a file download
+export function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Wire a "download recording" button and a replay file input to a host
+export function attachReplayControls(host, { saveButton, loadInput }) {
+    if (saveButton) {
+        saveButton.addEventListener('click', () => {
+            const recording = host.exportRecording();
+            if (!recording) return;
+
+            const name = recording.approach.toLowerCase();
+            downloadJSON(`replay-${name}-${Date.now()}.json`, recording);
+        });
+    }
+
+    if (loadInput) {
+        loadInput.addEventListener('change', async () => {
+            const file = loadInput.files[0];
+            if (!file) return;
+
+            try {
+                host.playReplay(parseReplay(await file.text()));
+            } catch (error) {
+                host.setStatus(`Replay error: ${error.message}`, true);
+            }
+            loadInput.value = '';
+        });
+    }
+}
@@ -0,0 +1,102 @@
+// Automatic renderer selection for the play page
+// Picks the best approach the browser supports (WebGPU, then WebGL, then
+// Canvas2D) and starts the game with it. If an approach fails to start, the
+// next one is tried on a fresh canvas, because a canvas keeps the first kind
+// of context it was asked for. ?renderer=<id> moves one approach to the front.
+
+export const RENDERER_PARAM = 'renderer';
+
+// Approach ids in order of preference, with their display names
+export const APPROACH_ORDER = ['webgpu', 'webgl', 'canvas2d'];
+export const APPROACH_NAMES = {
+    webgpu: 'WebGPU',
+    webgl: 'WebGL',
+    canvas2d: 'Canvas2D',
+};
+
+// Whether a throwaway canvas can create a context of one of `types`
+function canCreateContext(...types) {
+    const canvas = document.createElement('canvas');
+    for (const type of types) {
+        let context = null;
+        try {
+            context = canvas.getContext(type);
+        } catch {
+            context = null;
+        }
+        if (!context) continue;
+
+        // Give a GL context back now instead of when it is garbage collected
+        const loseContext = context.getExtension && context.getExtension('WEBGL_lose_context');
+        if (loseContext) {
+            loseContext.loseContext();
+        }
+        return true;
+    }
+    return false;
+}
+
+// Cheap checks that an approach can work here. Starting it can still fail,
+// e.g. when WebGPU has no adapter.
+export const SUPPORT_PROBES = {
+    webgpu: () => Boolean(navigator.gpu),
+    webgl: () => canCreateContext('webgl2', 'webgl'),
+    canvas2d: () => canCreateContext('2d'),
+};
+
+// Approach ids to try: `preferred` (if it is one) first, then the rest in
+// APPROACH_ORDER
+export function approachOrder(preferred = null) {
+    if (!APPROACH_ORDER.includes(preferred)) {
+        return [...APPROACH_ORDER];
+    }
+    return [preferred, ...APPROACH_ORDER.filter((id) => id !== preferred)];
+}
+
+// The approach requested by the page URL, or null
+export function preferredApproach(search = location.search) {
+    const id = new URLSearchParams(search).get(RENDERER_PARAM);
+    return APPROACH_ORDER.includes(id) ? id : null;
+}
+
+// Start the first approach that works.
+//   approaches - id -> async function(canvas) returning the approach's renderer
+//   canvas     - canvas for the first attempt; later attempts swap in a copy
+//   createHost(renderer) - builds the GameHost for a renderer
+//   preferred  - id to try first; it is tried even if its probe fails
+//   onSkip(id, reason)   - called for every approach passed over
+// Resolves to { id, renderer, host } for the running game, or rejects when
+// no approach could start.
+export async function startBestRenderer({ approaches, canvas, createHost, preferred = null, onSkip = () => {} }) {
+    let target = canvas;
+    let targetUsed = false;
+
+    for (const id of approachOrder(preferred)) {
+        if (id !== preferred && !SUPPORT_PROBES[id]()) {
+            onSkip(id, 'not supported by this browser');
+            continue;
+        }
+
+        if (targetUsed) {
+            const fresh = target.cloneNode(false);
+            target.replaceWith(fresh);
+            target = fresh;
+        }
+        targetUsed = true;
+
+        try {
+            const renderer = await approaches[id](target);
+            const host = createHost(renderer);
+            if (await host.start()) {
+                return { id, renderer, host };
+            }
+            onSkip(id, 'failed to start');
+        } catch (error) {
+            // The approach's module couldn't be loaded
+            console.error(error);
+            onSkip(id, error.message);
+        }
+    }
+
+    throw new Error('None of the renderers could be started in this browser');
+}
@@ -0,0 +1,112 @@
+// Responsive canvas sizing
+// The game is laid out on a fixed 800x600 logical playfield. Pages size the
+// canvas element with CSS; CanvasViewport keeps its backing store at the
+// displayed size in device pixels, so HiDPI screens get sharp output, and
+// letterboxes the playfield: renderers draw it into `rect`, the largest 4:3
+// rectangle centered in the canvas, and leave the bars around it black.
+
+export const PLAYFIELD_WIDTH = 800;
+export const PLAYFIELD_HEIGHT = 600;
+
+// Largest backing store side, to bound memory on huge or very dense screens
+const MAX_BACKING_SIZE = 4096;
+
+// Centered playfield rectangle in a width x height surface, in whole pixels
+// with the origin at the top left
+export function letterbox(width, height) {
+    const scale = Math.min(width / PLAYFIELD_WIDTH, height / PLAYFIELD_HEIGHT);
+    const rectWidth = Math.max(1, Math.round(PLAYFIELD_WIDTH * scale));
+    const rectHeight = Math.max(1, Math.round(PLAYFIELD_HEIGHT * scale));
+    return {
+        x: Math.floor((width - rectWidth) / 2),
+        y: Math.floor((height - rectHeight) / 2),
+        width: rectWidth,
+        height: rectHeight,
+    };
+}
+
+export class CanvasViewport {
+    // `onResize(viewport)` is called after the backing store changes size
+    constructor(canvas, { onResize = () => {} } = {}) {
+        this.canvas = canvas;
+        this.onResize = onResize;
+        this.rect = letterbox(canvas.width, canvas.height);
+        this.observer = null;
+        this.resolutionQuery = null;
+    }
+
+    // Size the canvas now and follow its displayed size and devicePixelRatio.
+    // Without ResizeObserver the canvas keeps its current size.
+    observe() {
+        if (typeof ResizeObserver !== 'function') {
+            return;
+        }
+
+        this.measure();
+        this.observer = new ResizeObserver(([entry]) => this.onObserved(entry));
+        try {
+            // Exact device pixels, also reported when only the pixel ratio changes
+            this.observer.observe(this.canvas, { box: 'device-pixel-content-box' });
+        } catch {
+            this.observer.observe(this.canvas);
+        }
+        this.watchPixelRatio();
+    }
+
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        if (this.resolutionQuery) {
+            this.resolutionQuery.removeEventListener('change', this.onPixelRatioChange);
+            this.resolutionQuery = null;
+        }
+    }
+
+    // Browsers that only observe CSS pixels miss a window moving to a screen
+    // with another pixel ratio; a media query for the current ratio catches it
+    watchPixelRatio() {
+        if (typeof matchMedia !== 'function') return;
+
+        this.onPixelRatioChange = () => {
+            this.resolutionQuery.removeEventListener('change', this.onPixelRatioChange);
+            this.measure();
+            this.watchPixelRatio();
+        };
+        this.resolutionQuery = matchMedia(`(resolution: ${devicePixelRatio}dppx)`);
+        this.resolutionQuery.addEventListener('change', this.onPixelRatioChange);
+    }
+
+    // Size from the element's current layout box
+    measure() {
+        const { width, height } = this.canvas.getBoundingClientRect();
+        const style = getComputedStyle(this.canvas);
+        const borderX = parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth) || 0;
+        const borderY = parseFloat(style.borderTopWidth) + parseFloat(style.borderBottomWidth) || 0;
+        this.resize((width - borderX) * devicePixelRatio, (height - borderY) * devicePixelRatio);
+    }
+
+    onObserved(entry) {
+        const devicePixels = entry.devicePixelContentBoxSize && entry.devicePixelContentBoxSize[0];
+        if (devicePixels) {
+            this.resize(devicePixels.inlineSize, devicePixels.blockSize);
+        } else {
+            this.resize(entry.contentRect.width * devicePixelRatio, entry.contentRect.height * devicePixelRatio);
+        }
+    }
+
+    // Set the backing store to width x height device pixels (scaled down
+    // evenly if it would exceed MAX_BACKING_SIZE) and recompute the playfield
+    resize(width, height) {
+        const limit = Math.min(1, MAX_BACKING_SIZE / Math.max(width, height));
+        width = Math.max(1, Math.round(width * limit));
+        height = Math.max(1, Math.round(height * limit));
+        if (width === this.canvas.width && height === this.canvas.height) return;
+
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.rect = letterbox(width, height);
+        this.onResize(this);
+    }
+}
@@ -0,0 +1,42 @@
+// Replay regression tests
+// Each recording in replays/ was played live through GameHost. Running it
+// through the headless runner must end on the same frame with the same score.
+
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { test } from 'node:test';
+
+import { parseReplay } from '../shared/replay.js';
+import { runHeadless } from '../tools/headless.mjs';
+
+// Final state of each recording as it ended in the browser host
+const RECORDINGS = [
+    { wasm: 'canvas2d', score: 284, alive: true },
+    { wasm: 'webgl', score: 81, alive: false },
+    { wasm: 'webgpu', score: 54, alive: true },
+];
+
+async function loadReplay(wasm) {
+    return parseReplay(await readFile(new URL(`replays/${wasm}.json`, import.meta.url), 'utf8'));
+}
+
+for (const { wasm, score, alive } of RECORDINGS) {
+    test(`${wasm} replay reaches the recorded score`, async () => {
+        const replay = await loadReplay(wasm);
+        const report = await runHeadless({ wasm, steps: 0, replay });
+
+        assert.equal(report.steps, replay.frames);
+        assert.equal(report.difficulty, replay.difficulty);
+        assert.equal(report.score, score);
+        assert.equal(report.alive, alive);
+        assert.equal(report.eventCounts.game_over ?? 0, alive ? 0 : 1);
+    });
+}
+
+test('replays are deterministic', async () => {
+    const replay = await loadReplay('canvas2d');
+    const first = await runHeadless({ wasm: 'canvas2d', steps: 0, replay });
+    const second = await runHeadless({ wasm: 'canvas2d', steps: 0, replay });
+
+    assert.deepEqual(second, first);
+});
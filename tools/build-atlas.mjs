@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// Sprite atlas generator
+// Draws the game's pixel-art sprites in code and writes them as one PNG atlas
+// plus the JSON frame map read by shared/atlas.js. Frames are packed in a row
+// with transparent padding between them so filtering never bleeds neighbours.
+//
+// Usage:
+//   node tools/build-atlas.mjs [output directory]   (default: shared/assets)
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { deflateSync } from 'node:zlib';
+
+import { ATLAS_FORMAT, ATLAS_VERSION } from '../shared/atlas.js';
+
+const ATLAS_WIDTH = 128;
+const ATLAS_HEIGHT = 32;
+const PADDING = 2;
+
+// '#rrggbb' -> [r, g, b, 255]
+function rgba(hex) {
+    const value = Number.parseInt(hex.slice(1), 16);
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff, 255];
+}
+
+// A w x h RGBA image with a pixel setter
+function createSprite(w, h) {
+    const pixels = new Uint8Array(w * h * 4);
+    return {
+        w,
+        h,
+        pixels,
+        set(x, y, color) {
+            if (x < 0 || y < 0 || x >= w || y >= h) return;
+            pixels.set(rgba(color), (y * w + x) * 4);
+        },
+        fill(x, y, fw, fh, color) {
+            for (let row = y; row < y + fh; row++) {
+                for (let col = x; col < x + fw; col++) this.set(col, row, color);
+            }
+        },
+    };
+}
+
+// Upward ship filling the 20x20 player box; the engine flame flickers
+function drawPlayer(frame) {
+    const sprite = createSprite(20, 20);
+    const hullBottom = 16;
+
+    for (let y = 0; y <= hullBottom; y++) {
+        const half = Math.round((y / hullBottom) * 10);
+        const left = 10 - half;
+        const right = 9 + half;
+        for (let x = left; x <= right; x++) {
+            const edge = x <= left || x >= right || y === hullBottom;
+            sprite.set(x, y, edge ? '#00aa00' : '#33ff33');
+        }
+    }
+
+    // Cockpit
+    sprite.fill(9, 7, 2, 4, '#aaffff');
+
+    // Engine flame
+    const flame = frame === 0 ? ['#ffaa33', '#ff5500'] : ['#ffff66', '#ffaa33', '#ff5500'];
+    flame.forEach((color, i) => sprite.fill(8 + Math.min(i, 1), 17 + i, 4 - Math.min(i, 1) * 2, 1, color));
+    return sprite;
+}
+
+// Red drone with a pulsing core
+function drawEnemy(frame) {
+    const sprite = createSprite(15, 15);
+    sprite.fill(0, 0, 15, 15, '#aa0000');
+    sprite.fill(1, 1, 13, 13, '#ff3333');
+    sprite.fill(5, 5, 5, 5, frame === 0 ? '#aa0000' : '#ff9999');
+    sprite.fill(6, 6, 3, 3, frame === 0 ? '#ff9999' : '#ffffff');
+    return sprite;
+}
+
+// Metal barrier. Only the middle columns are stretched to the obstacle width,
+// so the riveted caps (CAP pixels wide) keep their shape.
+const OBSTACLE_CAP = 6;
+
+function drawObstacle() {
+    const sprite = createSprite(30, 30);
+    sprite.fill(0, 0, 30, 30, '#999999');
+    sprite.fill(1, 1, 28, 28, '#666666');
+
+    // Horizontal plate seams run the full width
+    for (const y of [10, 19]) sprite.fill(1, y, 28, 1, '#555555');
+
+    // Rivets on the caps
+    for (const x of [3, 26]) {
+        for (const y of [4, 15, 25]) sprite.set(x, y, '#bbbbbb');
+    }
+    return sprite;
+}
+
+// Yellow bolt with a flickering tip
+function drawBullet(frame) {
+    const sprite = createSprite(4, 10);
+    sprite.fill(0, 0, 4, 10, '#ffff00');
+    sprite.fill(1, frame === 0 ? 1 : 0, 2, 4, '#ffffcc');
+    return sprite;
+}
+
+// Animation name -> { fps, sprites, extra frame fields }
+const ANIMATIONS = {
+    player: { fps: 12, sprites: [drawPlayer(0), drawPlayer(1)] },
+    enemy: { fps: 4, sprites: [drawEnemy(0), drawEnemy(1)] },
+    obstacle: { fps: 0, sprites: [drawObstacle()], cap: OBSTACLE_CAP },
+    bullet: { fps: 15, sprites: [drawBullet(0), drawBullet(1)] },
+};
+
+// Place every sprite in the atlas and build the JSON frame map
+function packAtlas() {
+    const pixels = new Uint8Array(ATLAS_WIDTH * ATLAS_HEIGHT * 4);
+    const frames = {};
+    const animations = {};
+    let x = PADDING;
+
+    for (const [name, { fps, sprites, cap }] of Object.entries(ANIMATIONS)) {
+        animations[name] = { fps, frames: [] };
+
+        sprites.forEach((sprite, i) => {
+            if (x + sprite.w > ATLAS_WIDTH || sprite.h + PADDING > ATLAS_HEIGHT) {
+                throw new Error(`Sprite ${name}-${i} does not fit in the atlas`);
+            }
+            for (let row = 0; row < sprite.h; row++) {
+                const source = sprite.pixels.subarray(row * sprite.w * 4, (row + 1) * sprite.w * 4);
+                pixels.set(source, ((PADDING + row) * ATLAS_WIDTH + x) * 4);
+            }
+
+            const frameName = `${name}-${i}`;
+            frames[frameName] = { x, y: PADDING, w: sprite.w, h: sprite.h, ...(cap ? { cap } : {}) };
+            animations[name].frames.push(frameName);
+            x += sprite.w + PADDING;
+        });
+    }
+
+    return { pixels, frames, animations };
+}
+
+// Minimal PNG encoder: 8-bit RGBA, no filtering
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePNG(width, height, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+
+    // Every scanline starts with its filter type (0 = none)
+    const rows = Buffer.alloc(height * (width * 4 + 1));
+    for (let y = 0; y < height; y++) {
+        rows.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(rows, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+async function main() {
+    const outputDir = process.argv[2] ?? fileURLToPath(new URL('../shared/assets/', import.meta.url));
+    const { pixels, frames, animations } = packAtlas();
+
+    const atlas = {
+        format: ATLAS_FORMAT,
+        version: ATLAS_VERSION,
+        image: 'sprites.png',
+        width: ATLAS_WIDTH,
+        height: ATLAS_HEIGHT,
+        frames,
+        animations,
+    };
+
+    await mkdir(outputDir, { recursive: true });
+    await writeFile(join(outputDir, 'sprites.png'), encodePNG(ATLAS_WIDTH, ATLAS_HEIGHT, pixels));
+    await writeFile(join(outputDir, 'sprites.json'), JSON.stringify(atlas, null, 2) + '\n');
+    console.log(`Wrote ${Object.keys(frames).length} frames to ${outputDir}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// Headless Node.js runner for the game WASM modules
+// Instantiates a game-*.wasm with stub (or recording) implementations of its
+// gl_*/gpu_* imports, runs init() and N fixed update() steps and reports the
+// resulting game state, including how many of each game event were raised.
+// Lets game logic be tested in CI without a browser.
+//
+// Usage:
+//   node tools/headless.mjs <canvas2d|webgl|webgpu|path/to/game.wasm> [options]
+//
+// Options:
+//   --steps N         simulation steps to run (default 1200 = 10 s)
+//   --replay FILE     feed input from a recording made in the browser
+//   --difficulty D    easy, normal or hard (default: the replay's, else normal)
+//   --record-draws    render the last frame and include its draw calls
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { DEFAULT_DIFFICULTY, difficultyLevel } from '../shared/difficulty.js';
+import { GameEventChannel } from '../shared/events.js';
+import { FIXED_TIMESTEP } from '../shared/host.js';
+import { ReplayPlayer, parseReplay } from '../shared/replay.js';
+
+// Built modules as shipped next to each approach's web page
+export const WASM_PATHS = {
+    canvas2d: new URL('../approach1-canvas2d/web/game-canvas2d.wasm', import.meta.url),
+    webgl: new URL('../approach2-webgl/web/game-webgl.wasm', import.meta.url),
+    webgpu: new URL('../approach3-webgpu/web/game-webgpu.wasm', import.meta.url),
+};
+
+// Build stub implementations for every function the module imports.
+// Each stub counts its calls; with `record` the arguments are kept as well.
+export function createStubImports(module, { record = false } = {}) {
+    const callCounts = {};
+    const calls = [];
+    const imports = {};
+
+    for (const { module: namespace, name, kind } of WebAssembly.Module.imports(module)) {
+        if (kind !== 'function') {
+            throw new Error(`Cannot stub non-function import ${namespace}.${name}`);
+        }
+
+        imports[namespace] ??= {};
+        callCounts[name] = 0;
+        imports[namespace][name] = (...args) => {
+            callCounts[name]++;
+            if (record) {
+                calls.push({ name, args });
+            }
+            return 0;
+        };
+    }
+
+    return {
+        imports,
+        callCounts,
+        calls,
+        // Forget recorded calls (counts are kept)
+        clear() {
+            calls.length = 0;
+        },
+    };
+}
+
+// Read the entity and bullet arrays exposed by the Canvas2D module
+function readEntities(exports) {
+    if (!exports.get_entity_count || !exports.get_entity_data) return null;
+
+    const entities = [];
+    for (let i = 0; i < exports.get_entity_count(); i++) {
+        const data = new Float32Array(exports.memory.buffer, exports.get_entity_data(i), 5);
+        entities.push({
+            type: data[4] === 0 ? 'enemy' : 'obstacle',
+            x: data[0],
+            y: data[1],
+            width: data[2],
+            height: data[3],
+        });
+    }
+
+    const bullets = [];
+    for (let i = 0; i < exports.get_bullet_count(); i++) {
+        const data = new Float32Array(exports.memory.buffer, exports.get_bullet_data(i), 4);
+        bullets.push({ x: data[0], y: data[1], width: data[2], height: data[3] });
+    }
+
+    return { entities, bullets };
+}
+
+// Collect whatever state the module exposes into a plain report object
+export function readGameState(exports) {
+    const state = {};
+
+    if (exports.get_score) state.score = exports.get_score();
+    if (exports.get_player_health) state.health = exports.get_player_health();
+    if (exports.is_alive) {
+        state.alive = Boolean(exports.is_alive());
+    } else if ('health' in state) {
+        state.alive = state.health > 0;
+    }
+    if (exports.get_player_x && exports.get_player_y) {
+        state.player = { x: exports.get_player_x(), y: exports.get_player_y() };
+    }
+
+    const entities = readEntities(exports);
+    if (entities) Object.assign(state, entities);
+
+    return state;
+}
+
+// Run a game module headlessly and return a report
+export async function runHeadless({ wasm, steps = 1200, replay = null, recordDraws = false, difficulty = null }) {
+    const bytes = await readFile(WASM_PATHS[wasm] ?? wasm);
+    const module = await WebAssembly.compile(bytes);
+    const stubs = createStubImports(module, { record: recordDraws });
+
+    // Count gameplay events through the same channel the browser host uses
+    const eventCounts = {};
+    const events = new GameEventChannel();
+    events.subscribe('*', ({ type }) => {
+        eventCounts[type] = (eventCounts[type] ?? 0) + 1;
+    });
+    if (stubs.imports.env && stubs.imports.env.game_event) {
+        stubs.imports.env.game_event = events.push;
+    }
+
+    const instance = await WebAssembly.instantiate(module, stubs.imports);
+    const { exports } = instance;
+
+    const difficultyId = difficulty ?? replay?.difficulty ?? DEFAULT_DIFFICULTY;
+    exports.init();
+    if (exports.set_difficulty) {
+        exports.set_difficulty(difficultyLevel(difficultyId));
+    }
+
+    const player = replay ? new ReplayPlayer(replay) : null;
+    const sendKey = (type, key) => (type === 'down' ? exports.key_down(key) : exports.key_up(key));
+    const totalSteps = replay ? Math.max(steps, replay.frames) : steps;
+
+    for (let frame = 0; frame < totalSteps; frame++) {
+        if (player) player.applyFrame(frame, sendKey);
+        events.frame = frame;
+        exports.update(FIXED_TIMESTEP);
+    }
+    events.dispatch();
+
+    const report = {
+        wasm: String(wasm),
+        steps: totalSteps,
+        difficulty: difficultyId,
+        seconds: totalSteps * FIXED_TIMESTEP,
+        ...readGameState(exports),
+        eventCounts,
+        memoryBytes: exports.memory.buffer.byteLength,
+    };
+
+    if (recordDraws && exports.render) {
+        stubs.clear();
+        exports.render(1.0);
+        report.drawCallCounts = {};
+        for (const { name } of stubs.calls) {
+            report.drawCallCounts[name] = (report.drawCallCounts[name] ?? 0) + 1;
+        }
+        report.drawCalls = stubs.calls;
+    }
+
+    return report;
+}
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const options = { wasm: null, steps: 1200, replayPath: null, recordDraws: false, difficulty: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--steps') {
+            options.steps = Number.parseInt(argv[++i], 10);
+            if (!Number.isInteger(options.steps) || options.steps < 0) {
+                throw new Error('--steps expects a non-negative integer');
+            }
+        } else if (arg === '--replay') {
+            options.replayPath = argv[++i];
+        } else if (arg === '--difficulty') {
+            options.difficulty = argv[++i];
+            difficultyLevel(options.difficulty);
+        } else if (arg === '--record-draws') {
+            options.recordDraws = true;
+        } else if (!options.wasm && !arg.startsWith('--')) {
+            options.wasm = arg;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!options.wasm) {
+        throw new Error('Usage: node tools/headless.mjs <canvas2d|webgl|webgpu|file.wasm> [--steps N] [--replay FILE] [--difficulty D] [--record-draws]');
+    }
+
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const replay = options.replayPath
+        ? parseReplay(await readFile(options.replayPath, 'utf8'))
+        : null;
+
+    const report = await runHeadless({
+        wasm: options.wasm,
+        steps: options.steps,
+        replay,
+        recordDraws: options.recordDraws,
+        difficulty: options.difficulty,
+    });
+
+    console.log(JSON.stringify(report, null, 2));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}